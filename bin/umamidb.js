@@ -0,0 +1,671 @@
+#!/usr/bin/env node
+
+// umamidb - one CLI for the sync jobs, the real-time daemon and Umami site management.
+// Every subcommand takes --help and --json; exit codes are listed in USAGE.
+
+require('dotenv').config();
+const {
+  EXIT_CODES,
+  UsageError,
+  parseArgs,
+  stringFlag,
+  numberFlag,
+  positiveIntegerFlag,
+  listFlag,
+  dateFlag,
+  whereFlag,
+  conditionsFlag,
+  sortFlag,
+  printJson
+} = require('../lib/cli');
+const { collectColumns, renderTable, renderCsv, renderJsonLines } = require('../lib/output');
+const { renderReport } = require('../lib/umami-report');
+const { UmamiApiClient, findWebsiteByDomain } = require('../lib/umami-api');
+const { PROJECTS, ensureWebsite, setupProject, setupProjects } = require('../lib/site-setup');
+const { RESTORE_TYPES } = require('../lib/umami-restore');
+const { GRANULARITIES } = require('../lib/umami-rollup');
+const { getRetentionDays, getExtensionRules } = require('../lib/retention');
+const { sinkRetention } = require('../lib/routing');
+const { createLogger, logToStderr } = require('../lib/logger');
+
+const log = createLogger('umamidb');
+
+const QUERY_TYPES = ['pageview', 'event', 'session', 'website_metadata', 'rollup_hourly', 'rollup_daily'];
+const QUERY_FORMATS = ['table', 'json', 'jsonl', 'csv'];
+const QUERY_TABLE_LIMIT = 20;
+// Same for every row of a query, or too long for a terminal (ask for payload fields with --fields data.x)
+const QUERY_HIDDEN_COLUMNS = ['source', 'type', 'data'];
+const REPORT_FORMATS = ['table', 'markdown', 'json'];
+const REPORT_DEFAULT_DAYS = 7;
+
+const USAGE = `Usage: umamidb <command> [options]
+
+Sync (Umami Postgres → Arkiv DB)
+  sync                      Incremental sync of new pageviews, events, sessions and websites
+  daemon                    Real-time sync (LISTEN/NOTIFY or polling) with health endpoint
+  backfill                  Export history in resumable, rate-limited batches
+  verify                    Compare Postgres with Arkiv for a time range
+  privacy                   Dry run: what the privacy policy would redact
+  rollup                    Write hourly/daily aggregates
+  extend                    Extend entities that are close to expiry
+  restore                   Rebuild Umami tables from Arkiv
+  redrive                   Retry dead-lettered real-time items
+  triggers <action>         status | install | uninstall the NOTIFY triggers
+  checkpoints [reset]       Show or reset the incremental sync checkpoints
+  query <type>              Filter, sort and export synced entities from Arkiv DB
+  report --website <site>   Traffic report for a website from Arkiv DB alone
+
+Umami sites
+  sites list                List websites
+  sites get <domain|id>     Find a website by domain or id
+  sites create <name> <domain>
+  setup [path]              Find or create the site for a project and write UMAMI_WEBSITE_ID to its .env
+  setup --all               Set up all known projects
+
+Options
+  --help, -h                Help for a command (umamidb <command> --help)
+  --json                    Machine-readable output on stdout; logs go to stderr
+  --sink <name>             Arkiv account to read from when ARKIV_ROUTING_FILE defines sinks
+                            (verify, extend, restore, query, report; default: ARKIV_PRIVATE_KEY)
+
+Exit codes: 0 ok, 1 failed, 2 check did not pass, 3 not found, 64 usage error`;
+
+// Golem-sync commands share its Postgres pool, which has to be closed for the process to exit
+async function withBatchSync(fn) {
+  const batchSync = require('../golem-sync');
+  try {
+    return await fn(batchSync);
+  } finally {
+    await batchSync.close();
+  }
+}
+
+async function withRealtimeSync(fn) {
+  const realtime = require('../real-time-sync');
+  try {
+    return await fn(realtime);
+  } finally {
+    await realtime.close();
+  }
+}
+
+// Record fields by name; `data.a.b` reads from the payload
+function pickFields(record, fields) {
+  const row = {};
+  fields.forEach(field => {
+    row[field] = field.split('.').reduce((value, part) => (value === undefined || value === null ? undefined : value[part]), record);
+  });
+  return row;
+}
+
+function printWebsite(website) {
+  console.log(`ID: ${website.id}`);
+  console.log(`Name: ${website.name}`);
+  console.log(`Domain: ${website.domain}`);
+  if (website.shareId) {
+    console.log(`Share ID: ${website.shareId}`);
+  }
+}
+
+function printTrackingSnippet(umami, websiteId) {
+  console.log(`📊 Website ID: ${websiteId}`);
+  console.log(`🔗 Tracking URL: ${umami.url}/websites/${websiteId}`);
+  console.log('\n📋 Add this to your HTML:');
+  console.log(`<script async src="/script.js" data-website-id="${websiteId}"></script>`);
+}
+
+const COMMANDS = {
+  sync: {
+    usage: 'Usage: umamidb sync [--json]\nSYNC_ROLLUPS=hourly,daily also writes rollups.',
+    run: () => withBatchSync(async batchSync => ({ data: await batchSync.fullSync() }))
+  },
+
+  daemon: {
+    usage: 'Usage: umamidb daemon\nREALTIME_MODE=auto|listen|poll, HEALTH_PORT (default 9464); LOG_FORMAT=json for JSON logs.',
+    run: async () => {
+      try {
+        await require('../real-time-sync').startDaemon();
+      } catch (error) {
+        // The health server and Postgres pool may already be open
+        log.error('❌ Real-time sync failed', { error });
+        process.exit(EXIT_CODES.error);
+      }
+      return { exitCode: null };
+    }
+  },
+
+  backfill: {
+    usage: [
+      'Usage: umamidb backfill [--from <date>] [--to <date>] [--website <id>]',
+      '                        [--batch-size <n>] [--rate <batches/min>] [--restart] [--json]'
+    ].join('\n'),
+    run: ({ flags }) => withBatchSync(async batchSync => ({
+      data: await batchSync.backfill({
+        from: dateFlag(flags, 'from') || new Date(0).toISOString(),
+        to: dateFlag(flags, 'to'),
+        websiteId: stringFlag(flags, 'website'),
+        batchSize: positiveIntegerFlag(flags, 'batch-size', batchSync.BACKFILL_BATCH_SIZE),
+        rate: numberFlag(flags, 'rate', batchSync.BACKFILL_RATE),
+        restart: Boolean(flags.restart)
+      })
+    }))
+  },
+
+  verify: {
+    usage: [
+      'Usage: umamidb verify [--from <date>] [--to <date>] [--website <id>] [--type <types>]',
+      '                      [--sink <name>] [--fix] [--show <n>] [--json]',
+      'Defaults to the last 24 hours. Exits with code 2 when differences are found.',
+      'Only Umami rows the routing rules send to the sink are compared.'
+    ].join('\n'),
+    run: ({ flags, json }) => withBatchSync(async batchSync => {
+      const { inSync, reports } = await batchSync.verify({
+        types: listFlag(flags, 'type', batchSync.VERIFY_TYPES) || batchSync.VERIFY_TYPES,
+        from: dateFlag(flags, 'from') || new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString(),
+        to: dateFlag(flags, 'to'),
+        websiteId: stringFlag(flags, 'website'),
+        sink: stringFlag(flags, 'sink'),
+        fix: Boolean(flags.fix),
+        json,
+        show: numberFlag(flags, 'show', 10)
+      });
+      return { data: reports, exitCode: inSync ? EXIT_CODES.ok : EXIT_CODES.check };
+    })
+  },
+
+  privacy: {
+    usage: [
+      'Usage: umamidb privacy [--from <date>] [--to <date>] [--website <id>] [--type <types>] [--show <n>] [--json]',
+      'Dry run of the privacy policy (PRIVACY_* / PRIVACY_FILE) over Umami rows: shows what would be redacted',
+      'before the data goes on-chain. Nothing is written. Defaults to the last 24 hours.'
+    ].join('\n'),
+    run: ({ flags, json }) => withBatchSync(async batchSync => ({
+      data: await batchSync.previewPrivacy({
+        types: listFlag(flags, 'type', batchSync.VERIFY_TYPES) || batchSync.VERIFY_TYPES,
+        from: dateFlag(flags, 'from') || new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString(),
+        to: dateFlag(flags, 'to'),
+        websiteId: stringFlag(flags, 'website'),
+        show: numberFlag(flags, 'show', 10),
+        json
+      })
+    }))
+  },
+
+  rollup: {
+    usage: [
+      'Usage: umamidb rollup [--granularity hourly,daily] [--from <date>] [--to <date>]',
+      '                      [--website <id>] [--force] [--dry-run] [--json]',
+      'Without --from the recompute window (ROLLUP_RECOMPUTE_HOURS) and anything not rolled up yet are processed.'
+    ].join('\n'),
+    run: ({ flags }) => withBatchSync(async batchSync => ({
+      data: await batchSync.rollup({
+        granularities: listFlag(flags, 'granularity', Object.keys(GRANULARITIES)) || Object.keys(GRANULARITIES),
+        from: dateFlag(flags, 'from'),
+        to: dateFlag(flags, 'to'),
+        websiteId: stringFlag(flags, 'website'),
+        force: Boolean(flags.force),
+        dryRun: Boolean(flags['dry-run'])
+      })
+    }))
+  },
+
+  extend: {
+    usage: [
+      'Usage: umamidb extend [--type <type>] [--website <id>] [--where key=value,...]',
+      '                      [--within <days>] [--by <days>] [--batch-size <n>] [--sink <name>] [--dry-run] [--json]',
+      'Without --type the extension rules from the retention policy are used.',
+      'Entities under a retired encryption key are re-encrypted with the current key while they are extended.'
+    ].join('\n'),
+    run: ({ flags }) => {
+      let rules;
+      const type = stringFlag(flags, 'type');
+      const sink = stringFlag(flags, 'sink');
+      // --by defaults to the retention of the sink being extended
+      const retention = sinkRetention(sink);
+      if (type) {
+        const websiteId = stringFlag(flags, 'website');
+        rules = [{
+          type,
+          websiteId,
+          where: whereFlag(flags, 'where'),
+          withinDays: numberFlag(flags, 'within', 3),
+          extendByDays: numberFlag(flags, 'by', getRetentionDays(type, websiteId, retention))
+        }];
+      } else {
+        rules = getExtensionRules(retention);
+      }
+
+      const invalid = rules.find(rule => !(rule.withinDays > 0) || !(rule.extendByDays > 0));
+      if (invalid) {
+        throw new UsageError(`--within and --by must be positive numbers of days (${invalid.type})`);
+      }
+
+      if (rules.length === 0) {
+        log.info('ℹ️  No extension rules configured (set ARKIV_EXTEND_TYPES, "extend" in ARKIV_RETENTION_FILE or pass --type)');
+        return { data: { extended: 0, transactions: 0 } };
+      }
+
+      return withBatchSync(async batchSync => ({
+        data: await batchSync.extendEntities({
+          rules,
+          batchSize: positiveIntegerFlag(flags, 'batch-size', batchSync.EXTEND_BATCH_SIZE),
+          sink,
+          dryRun: Boolean(flags['dry-run'])
+        })
+      }));
+    }
+  },
+
+  restore: {
+    usage: [
+      'Usage: umamidb restore --target <postgres_url> [--type <types>] [--website <id>]',
+      '                       [--from <date>] [--to <date>] [--on-conflict skip|update] [--sink <name>] [--dry-run] [--json]',
+      `Types (comma separated, default all): ${RESTORE_TYPES.join(', ')}. --target defaults to RESTORE_DATABASE_URL.`
+    ].join('\n'),
+    run: ({ flags }) => {
+      const targetUrl = stringFlag(flags, 'target') || process.env.RESTORE_DATABASE_URL;
+      if (!targetUrl && !flags['dry-run']) {
+        throw new UsageError('--target (or RESTORE_DATABASE_URL) is required');
+      }
+
+      const onConflict = stringFlag(flags, 'on-conflict') || 'skip';
+      if (!['skip', 'update'].includes(onConflict)) {
+        throw new UsageError(`Invalid --on-conflict: ${onConflict} (expected skip or update)`);
+      }
+
+      const options = {
+        targetUrl,
+        types: listFlag(flags, 'type', RESTORE_TYPES) || RESTORE_TYPES,
+        websiteId: stringFlag(flags, 'website'),
+        from: dateFlag(flags, 'from'),
+        to: dateFlag(flags, 'to'),
+        onConflict,
+        sink: stringFlag(flags, 'sink'),
+        dryRun: Boolean(flags['dry-run'])
+      };
+
+      return withBatchSync(async batchSync => ({ data: await batchSync.restore(options) }));
+    }
+  },
+
+  redrive: {
+    usage: 'Usage: umamidb redrive [--json]',
+    run: () => withRealtimeSync(async realtime => {
+      const result = await realtime.redriveDeadLetters();
+      return { data: result, exitCode: result.failed > 0 ? EXIT_CODES.error : EXIT_CODES.ok };
+    })
+  },
+
+  triggers: {
+    usage: [
+      'Usage: umamidb triggers status|install|uninstall [--dry-run] [--force] [--json]',
+      '`status` exits with code 2 when the triggers are missing or outdated.'
+    ].join('\n'),
+    run: ({ positionals, flags, json }) => {
+      const action = positionals[0];
+      if (!['status', 'install', 'uninstall'].includes(action)) {
+        throw new UsageError(action ? `Unknown triggers action: ${action}` : 'Missing triggers action');
+      }
+
+      return withRealtimeSync(async realtime => {
+        const result = await realtime.manageTriggers(action, { dryRun: Boolean(flags['dry-run']), force: Boolean(flags.force) });
+
+        if (!json) {
+          if (action === 'status') {
+            console.log(`Expected trigger version: v${result.version}`);
+            result.triggers.forEach(trigger => {
+              console.log(`  ${trigger.table.padEnd(14)} function ${trigger.functionName}: ${trigger.functionExists ? `installed (${trigger.version ? `v${trigger.version}` : 'unversioned'})` : 'missing'}`);
+              console.log(`  ${''.padEnd(14)} trigger  ${trigger.triggerName}: ${trigger.triggerExists ? (trigger.enabled ? 'enabled' : 'disabled') : 'missing'}`);
+            });
+            console.log(result.current ? '✅ Triggers are up to date' : '⚠️  Triggers are missing or outdated');
+          } else if (flags['dry-run']) {
+            console.log(result.statements.join('\n\n'));
+          }
+        }
+
+        const failedCheck = action === 'status' && !result.current;
+        return { data: result, exitCode: failedCheck ? EXIT_CODES.check : EXIT_CODES.ok };
+      });
+    }
+  },
+
+  checkpoints: {
+    usage: 'Usage: umamidb checkpoints [reset [type]] [--json]',
+    run: ({ positionals, json }) => withBatchSync(async batchSync => {
+      if (positionals[0] === 'reset') {
+        const types = positionals[1] ? [positionals[1]] : batchSync.SYNC_TYPES;
+        return { data: { reset: batchSync.resetCheckpoints(types) } };
+      }
+      if (positionals[0]) {
+        throw new UsageError(`Unknown checkpoints action: ${positionals[0]}`);
+      }
+
+      const checkpoints = batchSync.listCheckpoints();
+      if (!json) {
+        console.log(`📁 State file: ${batchSync.STATE_FILE}`);
+        checkpoints.forEach(({ type, checkpoint }) => {
+          console.log(checkpoint
+            ? `  ${type.padEnd(18)} ${checkpoint.created_at} (id: ${checkpoint.id}, saved: ${checkpoint.updated_at})`
+            : `  ${type.padEnd(18)} no checkpoint (first run looks back ${batchSync.INITIAL_LOOKBACK_HOURS}h)`);
+        });
+      }
+      return { data: { state_file: batchSync.STATE_FILE, checkpoints } };
+    })
+  },
+
+  query: {
+    usage: [
+      'Usage: umamidb query <type> [--website <id>] [--where <conditions>] [--from <date>] [--to <date>]',
+      '                            [--time-field timestamp|sync_time] [--sort <attribute>[:asc|desc]] [--limit <n>]',
+      '                            [--fields <a,b,data.x>] [--format table|json|jsonl|csv] [--sink <name>] [--json]',
+      `Types: ${QUERY_TYPES.join(', ')}.`,
+      'Conditions are comma separated attribute comparisons (= != > >= < <=), e.g. --where country=PL,device=mobile;',
+      'digit-only values compare as numbers. --from/--to filter on the time field (--to is exclusive).',
+      `--fields picks attributes and payload fields (data.<name>). The table shows the first ${QUERY_TABLE_LIMIT} rows`,
+      'unless --limit is given; the other formats print every match.'
+    ].join('\n'),
+    run: ({ positionals, flags, json }) => {
+      const type = positionals[0];
+      if (!QUERY_TYPES.includes(type)) {
+        throw new UsageError(type ? `Unknown type: ${type}` : 'Missing entity type');
+      }
+
+      const format = stringFlag(flags, 'format') || (json ? 'json' : 'table');
+      if (!QUERY_FORMATS.includes(format)) {
+        throw new UsageError(`Unknown --format: ${format} (expected ${QUERY_FORMATS.join(', ')})`);
+      }
+      if (json && format !== 'json') {
+        throw new UsageError(`--json cannot be combined with --format ${format}`);
+      }
+
+      const timeField = stringFlag(flags, 'time-field') || 'timestamp';
+      if (!['timestamp', 'sync_time'].includes(timeField)) {
+        throw new UsageError(`Unknown --time-field: ${timeField} (expected timestamp or sync_time)`);
+      }
+
+      const websiteId = stringFlag(flags, 'website');
+      const fields = listFlag(flags, 'fields');
+      const options = {
+        filters: websiteId ? { website_id: websiteId } : {},
+        conditions: conditionsFlag(flags, 'where'),
+        from: dateFlag(flags, 'from'),
+        to: dateFlag(flags, 'to'),
+        timeField,
+        sort: sortFlag(flags, 'sort'),
+        limit: numberFlag(flags, 'limit', format === 'table' ? QUERY_TABLE_LIMIT : null),
+        sink: stringFlag(flags, 'sink')
+      };
+      if (options.limit !== null && options.limit < 1) {
+        throw new UsageError(`Invalid --limit: ${options.limit} (expected at least 1)`);
+      }
+
+      // Machine formats own stdout
+      if (format !== 'table') {
+        logToStderr();
+      }
+
+      return withBatchSync(async batchSync => {
+        const records = await batchSync.queryEntities(type, options);
+        const rows = fields ? records.map(record => pickFields(record, fields)) : records;
+
+        if (json) {
+          return { data: rows };
+        }
+
+        if (format === 'json') {
+          printJson(rows);
+        } else if (format === 'jsonl') {
+          if (rows.length > 0) {
+            console.log(renderJsonLines(rows));
+          }
+        } else if (format === 'csv') {
+          console.log(renderCsv(rows, fields || collectColumns(rows)));
+        } else {
+          const columns = fields || collectColumns(rows).filter(column => !QUERY_HIDDEN_COLUMNS.includes(column));
+          console.log(`Found ${rows.length} ${type} records${options.limit !== null && rows.length === options.limit ? ` (limit ${options.limit})` : ''}`);
+          if (rows.length > 0) {
+            console.log(renderTable(rows, columns));
+          }
+        }
+        return {};
+      });
+    }
+  },
+
+  report: {
+    usage: [
+      'Usage: umamidb report --website <domain|id> [--from <date>] [--to <date>] [--top <n>] [--format table|markdown|json]',
+      '                      [--sink <name>] [--json]',
+      'Pageviews, unique sessions, top pages, referrers, countries, browsers and custom events from Arkiv DB alone.',
+      `Covers the last ${REPORT_DEFAULT_DAYS} days unless --from/--to are given (--to is exclusive). Exit code 3 when the website is not on Arkiv.`,
+      'Arkiv returns everything synced since --from; records backfilled later are fetched and filtered locally,',
+      'so a report soon after a large backfill downloads (and decrypts) that history.'
+    ].join('\n'),
+    run: ({ flags, json }) => {
+      const format = stringFlag(flags, 'format') || (json ? 'json' : 'table');
+      if (!REPORT_FORMATS.includes(format)) {
+        throw new UsageError(`Unknown --format: ${format} (expected ${REPORT_FORMATS.join(', ')})`);
+      }
+      if (json && format !== 'json') {
+        throw new UsageError(`--json cannot be combined with --format ${format}`);
+      }
+
+      const websiteArg = stringFlag(flags, 'website');
+      if (!websiteArg) {
+        throw new UsageError('Missing --website');
+      }
+
+      const to = dateFlag(flags, 'to') || new Date().toISOString();
+      const from = dateFlag(flags, 'from') || new Date(Date.parse(to) - REPORT_DEFAULT_DAYS * 24 * 60 * 60 * 1000).toISOString();
+      if (Date.parse(from) >= Date.parse(to)) {
+        throw new UsageError('--from must be before --to');
+      }
+      const top = numberFlag(flags, 'top', undefined);
+      const sink = stringFlag(flags, 'sink');
+
+      if (format !== 'table') {
+        logToStderr();
+      }
+
+      return withBatchSync(async batchSync => {
+        const website = await batchSync.findArkivWebsite(websiteArg, { sink });
+        if (!website) {
+          log.warn('Website not found on Arkiv DB', { website: websiteArg });
+          return { data: null, exitCode: EXIT_CODES.notFound };
+        }
+
+        const result = await batchSync.report({ website, from, to, top, sink });
+
+        if (json) {
+          return { data: result };
+        }
+        if (format === 'json') {
+          printJson(result);
+        } else {
+          console.log(renderReport(result, format));
+        }
+        return {};
+      });
+    }
+  },
+
+  sites: {
+    usage: [
+      'Usage: umamidb sites list [--json]',
+      '       umamidb sites get <domain|id> [--json]      (exit code 3 when not found)',
+      '       umamidb sites create <name> <domain> [--json]  (returns the existing site if the domain is taken)',
+      'Uses UMAMI_URL, UMAMI_USERNAME and UMAMI_PASSWORD.'
+    ].join('\n'),
+    run: async ({ positionals, json }) => {
+      const [action, ...args] = positionals;
+      const umami = new UmamiApiClient();
+
+      switch (action) {
+        case 'list': {
+          const websites = await umami.getWebsites();
+          if (!json) {
+            websites.forEach(site => console.log(`${site.id}  ${site.name.padEnd(20)} ${site.domain}`));
+          }
+          return { data: websites };
+        }
+
+        case 'get': {
+          if (!args[0]) {
+            throw new UsageError('Missing domain or website id');
+          }
+
+          const websites = await umami.getWebsites();
+          const website = websites.find(site => String(site.id) === args[0]) || findWebsiteByDomain(websites, args[0]);
+
+          if (!website) {
+            log.warn('Website not found', { domain: args[0] });
+            if (!json) {
+              console.log('\nAvailable websites:');
+              websites.forEach(site => console.log(`- ${site.name}: ${site.domain} (ID: ${site.id})`));
+            }
+            return { data: null, exitCode: EXIT_CODES.notFound };
+          }
+
+          if (!json) {
+            printWebsite(website);
+            console.log(`\nAdd to your .env:\nUMAMI_WEBSITE_ID=${website.id}`);
+          }
+          return { data: website };
+        }
+
+        case 'create': {
+          if (args.length < 2) {
+            throw new UsageError('Expected <name> <domain>');
+          }
+
+          const result = await ensureWebsite(umami, args[0], args[1]);
+          if (!json) {
+            printWebsite(result.website);
+          }
+          return { data: result };
+        }
+
+        default:
+          throw new UsageError(action ? `Unknown sites action: ${action}` : 'Missing sites action');
+      }
+    }
+  },
+
+  setup: {
+    usage: [
+      'Usage: umamidb setup [path] [--domain <domain>] [--name <name>] [--json]',
+      '       umamidb setup --all [--json]',
+      'The domain is detected from docker-compose.yml (Traefik Host rule), .env (DOMAIN, APP_URL) or package.json.',
+      `--all sets up: ${PROJECTS.map(project => project.domain).join(', ')}`
+    ].join('\n'),
+    run: async ({ positionals, flags, json }) => {
+      const umami = new UmamiApiClient();
+
+      if (!flags.all) {
+        const result = await setupProject(umami, positionals[0] || process.cwd(), {
+          domain: stringFlag(flags, 'domain'),
+          name: stringFlag(flags, 'name')
+        });
+        log.info('🎉 Setup complete!', { website_id: result.websiteId });
+        if (!json) {
+          printTrackingSnippet(umami, result.websiteId);
+        }
+        return { data: result };
+      }
+
+      log.info('🚀 Setting up Umami tracking for all projects...');
+      const results = await setupProjects(umami);
+      const failed = results.filter(result => result.status === 'failed');
+
+      log.info('🎉 Setup completed!', { failed: failed.length });
+
+      if (!json) {
+        console.log('\n📋 Summary:');
+        console.log('═'.repeat(80));
+        results.forEach(result => {
+          const status = result.status === 'existing' ? '✅ Existing' :
+                        result.status === 'created' ? '🆕 Created' : '❌ Failed';
+          console.log(`${status} | ${result.project.padEnd(12)} | ${result.domain.padEnd(20)} | ${result.websiteId || 'N/A'}`);
+          if (result.status !== 'failed') {
+            console.log(`         | Add to .env: UMAMI_WEBSITE_ID=${result.websiteId}`);
+            console.log(`         | Tracking: <script async src="/script.js" data-website-id="${result.websiteId}"></script>`);
+          }
+          console.log('');
+        });
+
+        console.log('\n📝 Next steps:');
+        console.log('1. Add UMAMI_WEBSITE_ID to each project\'s .env file');
+        console.log('2. Add tracking script to frontend templates');
+        console.log('3. Restart services to apply Traefik proxy changes');
+        console.log('4. Test tracking by visiting websites');
+
+        console.log('\n🔧 Restart services:');
+        results.filter(result => result.status !== 'failed').forEach(result => {
+          console.log(`cd ~/projects/${result.project.toLowerCase()} && docker compose up -d`);
+        });
+      }
+
+      return { data: results, exitCode: failed.length > 0 ? EXIT_CODES.error : EXIT_CODES.ok };
+    }
+  }
+};
+
+async function main(argv = process.argv.slice(2)) {
+  const { flags, positionals } = parseArgs(argv);
+  const [name, ...args] = positionals;
+  const json = Boolean(flags.json);
+
+  if (json) {
+    logToStderr();
+  }
+
+  if (!name || name === 'help') {
+    const command = COMMANDS[args[0]];
+    console.log(command ? command.usage : USAGE);
+    process.exitCode = name || flags.help ? EXIT_CODES.ok : EXIT_CODES.usage;
+    return;
+  }
+
+  const command = COMMANDS[name];
+  if (!command) {
+    console.error(`Unknown command: ${name}\n\n${USAGE}`);
+    process.exitCode = EXIT_CODES.usage;
+    return;
+  }
+
+  if (flags.help) {
+    console.log(command.usage);
+    return;
+  }
+
+  try {
+    const { data, exitCode = EXIT_CODES.ok } = await command.run({ positionals: args, flags, json }) || {};
+
+    if (json && data !== undefined) {
+      printJson(data);
+    }
+    if (exitCode !== null) {
+      process.exitCode = exitCode;
+    }
+  } catch (error) {
+    if (error instanceof UsageError) {
+      console.error(`${error.message}\n\n${command.usage}`);
+      process.exitCode = EXIT_CODES.usage;
+      return;
+    }
+
+    log.error(`❌ ${name} failed`, { error });
+    if (json) {
+      printJson({ error: error.message });
+    }
+    process.exitCode = EXIT_CODES.error;
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  main
+};
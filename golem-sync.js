@@ -1,385 +1,594 @@
 #!/usr/bin/env node
 
-const { createWalletClient, http } = require('@arkiv-network/sdk');
-const { kaolin } = require('@arkiv-network/sdk/chains');
-const { privateKeyToAccount } = require('@arkiv-network/sdk/accounts');
-const { ExpirationTime, jsonToPayload } = require('@arkiv-network/sdk/utils');
-const { eq } = require('@arkiv-network/sdk/query');
+const { eq, neq, gt, gte, lt, lte, or } = require('@arkiv-network/sdk/query');
+const { createHash } = require('crypto');
 const { Pool } = require('pg');
 require('dotenv').config();
+const { STATE_FILE, getCheckpoint, setCheckpoint, clearCheckpoint } = require('./lib/sync-state');
+const {
+  formatTimestamp,
+  detectSchemaVersion,
+  getSyncQuery,
+  loadWebsiteDomains,
+  mapRow,
+  mapWebsiteEvent,
+  mapSession,
+  attachEventProperties
+} = require('./lib/umami-schema');
+const { entityToRows, loadTargetColumns, insertRows } = require('./lib/umami-restore');
+const { getGranularity, periodStart, computeRollups } = require('./lib/umami-rollup');
+const { describeRetentionPolicy } = require('./lib/retention');
+const { scrubItem, scrubRollup, describePrivacyPolicy } = require('./lib/privacy');
+const { encodePayload, decodePayload, canRotate, needsRotation, missingKeyId, describeEncryption } = require('./lib/encryption');
+const { describePseudonyms } = require('./lib/pseudonym');
+const { calculateBTL, toAttributes, prepareItem } = require('./lib/arkiv-sink');
+const { DEFAULT_SINK, SyncRouter, describeRouting } = require('./lib/routing');
+const { findWebsiteByDomain } = require('./lib/umami-api');
+const { computeReport } = require('./lib/umami-report');
+const { createLogger } = require('./lib/logger');
+
+const log = createLogger('golem-sync');
 
 // Konfiguracja
 const UMAMI_DB_URL = process.env.DATABASE_URL;
-const ARKIV_CONFIG = {
-  chainId: Number(process.env.ARKIV_CHAIN_ID || 60138453025),
-  rpcUrl: process.env.ARKIV_RPC_URL || 'https://kaolin.hoodi.arkiv.network/rpc',
-  wsUrl: process.env.ARKIV_WS_URL || 'wss://kaolin.hoodi.arkiv.network/rpc/ws',
-  privateKey: process.env.ARKIV_PRIVATE_KEY
-};
-const HAS_CHAIN_OVERRIDE = Boolean(process.env.ARKIV_CHAIN_ID || process.env.ARKIV_RPC_URL || process.env.ARKIV_WS_URL);
+
+// How far back the first run (no checkpoint yet) looks for pageviews/events/sessions
+const INITIAL_LOOKBACK_HOURS = Number(process.env.SYNC_INITIAL_LOOKBACK_HOURS || 1);
+const SYNC_TYPES = ['pageview', 'event', 'session', 'website_metadata'];
+// Types whose existing Arkiv entity is updated instead of skipped on re-sync
+const UPSERT_TYPES = ['website_metadata'];
+
+// Backfill defaults (overridable with --batch-size / --rate)
+const BACKFILL_BATCH_SIZE = Number(process.env.BACKFILL_BATCH_SIZE || 100);
+const BACKFILL_RATE = Number(process.env.BACKFILL_RATE || 30); // batches per minute, 0 = unlimited
+
+const VERIFY_TYPES = ['pageview', 'event', 'session'];
+const VERIFY_PAGE_SIZE = 1000;
+
+// Rollups: closed periods inside the recompute window are recomputed on every run
+// so late data still reaches Arkiv; SYNC_ROLLUPS=hourly,daily adds them to `sync`
+const ROLLUP_RECOMPUTE_HOURS = Number(process.env.ROLLUP_RECOMPUTE_HOURS || 48);
+const ROLLUP_BATCH_SIZE = 100;
+const SYNC_ROLLUPS = (process.env.SYNC_ROLLUPS || '')
+  .split(',')
+  .map(name => name.trim())
+  .filter(Boolean);
+
+const EXTEND_BATCH_SIZE = Number(process.env.ARKIV_EXTEND_BATCH_SIZE || 50); // extensions per transaction
 
 // PostgreSQL client dla Umami
 const umami = new Pool({
   connectionString: UMAMI_DB_URL
 });
 
-let arkivClient;
-let arkivAccount;
+// Routing rules pick the Arkiv sinks (accounts/chains) of every item, see lib/routing.js
+const router = new SyncRouter({ logger: log, loadDomains: () => loadWebsiteDomains(umami) });
 
-function buildChainConfig() {
-  if (!HAS_CHAIN_OVERRIDE && ARKIV_CONFIG.chainId === kaolin.id) {
-    return kaolin;
+// Inicjalizacja Arkiv DB - every sink the routing rules can write to
+async function initGolem() {
+  const sinks = router.activeSinkNames().map(name => router.sink(name));
+  for (const sink of sinks) {
+    await sink.init();
   }
+  return sinks;
+}
 
-  const defaultRpc = {
-    http: [ARKIV_CONFIG.rpcUrl]
-  };
+function logStartupPolicies() {
+  describeRetentionPolicy().forEach(line => log.info(`🗄️  ${line.trim()}`));
+  describePrivacyPolicy().forEach(line => log.info(`🧹 ${line.trim()}`));
+  log.info(`🔐 ${describeEncryption()}`);
+  log.info(`🕶️  ${describePseudonyms()}`);
+  describeRouting().forEach(line => log.info(`🧭 ${line.trim()}`));
+}
 
-  if (ARKIV_CONFIG.wsUrl) {
-    defaultRpc.webSocket = [ARKIV_CONFIG.wsUrl];
+// Routes entries ({ subject, ... }; subject is the item the rules match on) to their sinks
+// and writes each group; toRecord(entry, sink) builds the dedup record. Returns the merged
+// plan (over all sinks an entry fans out to) plus the number of excluded entries.
+// A failing sink fails the call; sinks that already wrote skip their part on the retry.
+async function writeRouted(entries, toRecord, options) {
+  const { groups, excluded } = await router.partition(entries, entry => entry.subject);
+  const merged = { creates: [], updates: [], skipped: [], excluded };
+
+  for (const [name, group] of groups) {
+    const target = router.sink(name);
+    const plan = await target.write(group.map(entry => toRecord(entry, target)), options);
+    merged.creates.push(...plan.creates);
+    merged.updates.push(...plan.updates);
+    merged.skipped.push(...plan.skipped);
   }
 
-  return {
-    ...kaolin,
-    id: ARKIV_CONFIG.chainId,
-    rpcUrls: {
-      ...kaolin.rpcUrls,
-      default: defaultRpc
-    }
-  };
+  return merged;
 }
 
-function normalisePrivateKey(value) {
-  if (!value.startsWith('0x')) {
-    return `0x${value}`;
+// Sync a table page by page, resuming from the stored checkpoint (created_at + id).
+// Queries come from lib/umami-schema.js for the detected schema version.
+async function syncFromCheckpoint({ type, label, initialCursor, toEntity, toSubject }, pageSize) {
+  const version = await detectSchemaVersion(umami);
+  const query = getSyncQuery(version, type);
+  const checkpoint = getCheckpoint(type);
+  let cursorTime = checkpoint ? checkpoint.created_at : initialCursor();
+  let cursorId = checkpoint ? checkpoint.id : null;
+  let total = 0;
+
+  if (checkpoint) {
+    log.info(`⏱️  Resuming ${label} from checkpoint`, { cursor_time: cursorTime, cursor_id: cursorId });
   }
-  return value;
-}
 
-// Inicjalizacja Arkiv DB
-async function initGolem() {
-  if (arkivClient) {
-    return arkivClient;
+  while (true) {
+    const result = await umami.query(query, [cursorTime, cursorId, pageSize]);
+
+    if (result.rows.length === 0) {
+      break;
+    }
+
+    if (type === 'event') {
+      await attachEventProperties(umami, version, result.rows);
+    }
+
+    await initGolem();
+    const syncTime = Math.floor(Date.now() / 1000);
+
+    const entries = result.rows.map(({ cursor_time, cursor_id, ...row }) => ({
+      row,
+      cursorId: cursor_id,
+      subject: toSubject ? toSubject(row) : mapRow(version, type, row)
+    }));
+
+    const plan = await writeRouted(entries, ({ row, cursorId, subject }, target) => {
+      const entity = toEntity ? toEntity(row, syncTime, target) : target.toEntity(subject, syncTime);
+      const umamiId = entity.attributes.find(attribute => attribute.key === 'umami_id');
+      return { type, umamiId: umamiId ? umamiId.value : cursorId, entity };
+    }, { upsertTypes: UPSERT_TYPES });
+
+    // Only move the high-water mark once Arkiv confirmed the whole page
+    const lastRow = result.rows[result.rows.length - 1];
+    cursorTime = lastRow.cursor_time;
+    cursorId = String(lastRow.cursor_id);
+    setCheckpoint(type, { created_at: cursorTime, id: cursorId, schema: version });
+
+    const written = plan.creates.length + plan.updates.length;
+    total += written;
+    log.info(`📦 Synced page of ${label}`, {
+      entity_count: written,
+      updated: plan.updates.length,
+      skipped: plan.skipped.length,
+      excluded: plan.excluded || undefined,
+      total
+    });
+
+    if (result.rows.length < pageSize) {
+      break;
+    }
   }
 
-  if (!ARKIV_CONFIG.privateKey) {
-    throw new Error('ARKIV_PRIVATE_KEY not set in .env');
+  if (total === 0) {
+    log.info(`📭 No new ${label} to sync`);
+  } else {
+    log.info(`✅ Synced ${label} to Arkiv DB`, { entity_count: total });
   }
 
-  const privateKey = normalisePrivateKey(ARKIV_CONFIG.privateKey.trim());
-  arkivAccount = privateKeyToAccount(privateKey);
+  return total;
+}
 
-  arkivClient = createWalletClient({
-    account: arkivAccount,
-    chain: buildChainConfig(),
-    transport: http(ARKIV_CONFIG.rpcUrl)
-  });
+function lookbackCursor() {
+  return new Date(Date.now() - INITIAL_LOOKBACK_HOURS * 60 * 60 * 1000).toISOString();
+}
 
-  console.log('✅ Connected to Arkiv DB');
-  console.log('📍 Address:', arkivAccount.address);
+function epochCursor() {
+  return new Date(0).toISOString();
+}
 
-  return arkivClient;
+// Sync pageviews (najważniejsze!)
+async function syncPageviews(pageSize = 1000) {
+  log.info('📊 Syncing pageviews...');
+
+  return syncFromCheckpoint({
+    type: 'pageview',
+    label: 'pageviews',
+    initialCursor: lookbackCursor
+  }, pageSize);
 }
 
-// Funkcja obliczania TTL w sekundach
-function calculateBTL(days = 1) {
-  return ExpirationTime.fromDays(days);
+// Sync events (custom tracking)
+async function syncEvents(pageSize = 1000) {
+  log.info('🎯 Syncing events...');
+
+  return syncFromCheckpoint({
+    type: 'event',
+    label: 'events',
+    initialCursor: lookbackCursor
+  }, pageSize);
 }
 
-function toAttributes(entries) {
-  const attributes = new Map();
+// Sync sessions
+async function syncSessions(pageSize = 500) {
+  log.info('👥 Syncing sessions...');
+
+  return syncFromCheckpoint({
+    type: 'session',
+    label: 'sessions',
+    initialCursor: lookbackCursor
+  }, pageSize);
+}
 
-  entries.forEach(([key, value]) => {
-    if (key === undefined || key === null || value === undefined || value === null) {
-      return;
+// Sync website metadata (only websites changed since the last run)
+async function syncWebsites(pageSize = 500) {
+  log.info('🌐 Syncing websites metadata...');
+
+  return syncFromCheckpoint({
+    type: 'website_metadata',
+    label: 'websites',
+    initialCursor: epochCursor,
+    toSubject: row => ({ type: 'website_metadata', website_id: row.id, domain: row.domain }),
+    toEntity: (row, syncTime, target) => {
+      const { payload, attributes: encryptionAttributes } = encodePayload({
+        ...row,
+        created_at: formatTimestamp(row.created_at),
+        updated_at: formatTimestamp(row.updated_at)
+      });
+
+      return {
+        payload,
+        contentType: 'application/json',
+        attributes: toAttributes([
+          ['type', 'website_metadata'],
+          ['source', 'umami'],
+          ['website_id', row.id],
+          ['domain', row.domain],
+          ['name', row.name],
+          ['timestamp', formatTimestamp(row.updated_at || row.created_at)],
+          ['umami_id', row.id],
+          ['sync_time', syncTime],
+          ...encryptionAttributes
+        ]),
+        expiresIn: calculateBTL(target.retentionDays('website_metadata', row.id))
+      };
     }
+  }, pageSize);
+}
 
-    if (typeof value === 'number') {
-      attributes.set(key, { key, value });
-    } else {
-      attributes.set(key, { key, value: String(value) });
-    }
-  });
+// Funkcja pełnej synchronizacji
+async function fullSync() {
+  log.info('🚀 Starting Umami → Arkiv DB sync...');
+  logStartupPolicies();
 
-  return Array.from(attributes.values());
-}
+  await initGolem();
 
-function formatTimestamp(value) {
-  if (!value) {
-    return new Date().toISOString();
-  }
+  const totals = {
+    pageview: await syncPageviews(),
+    event: await syncEvents(),
+    session: await syncSessions(),
+    website_metadata: await syncWebsites()
+  };
 
-  const date = value instanceof Date ? value : new Date(value);
-  if (Number.isNaN(date.getTime())) {
-    return new Date().toISOString();
+  for (const granularity of SYNC_ROLLUPS) {
+    totals[getGranularity(granularity).type] = (await rollupGranularity(granularity, {})).written;
   }
 
-  return date.toISOString();
+  log.info('✅ Sync completed successfully!');
+  return totals;
 }
 
-// Funkcja zapisu do Arkiv DB
-async function saveToArkiv(data, type, metadata = {}, expiresInDays = 1) {
-  await initGolem();
+// event_data rows are not a stream of their own: they are collected into the
+// `properties` of the custom event they belong to
+const BACKFILL_STREAMS = [
+  {
+    name: 'website_event',
+    table: 'website_event',
+    idColumn: 'event_id',
+    map: mapWebsiteEvent,
+    prepare: rows => attachEventProperties(umami, 'v2', rows)
+  },
+  { name: 'session', table: 'session', idColumn: 'session_id', map: mapSession }
+];
+
+function formatDuration(seconds) {
+  if (!Number.isFinite(seconds)) {
+    return '?';
+  }
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  return hours > 0 ? `${hours}h${String(minutes).padStart(2, '0')}m` : `${minutes}m${String(Math.floor(seconds % 60)).padStart(2, '0')}s`;
+}
 
-  const attributes = toAttributes([
-    ['type', type],
-    ['source', 'umami'],
-    ['timestamp', new Date().toISOString()],
-    ['sync_time', Math.floor(Date.now() / 1000)],
-    ...Object.entries(metadata)
-  ]);
+async function backfillStream(stream, options) {
+  const { from, to, websiteId, batchSize, rate, runKey } = options;
+  const checkpointName = `${runKey}:${stream.name}`;
+  const checkpoint = getCheckpoint(checkpointName);
 
-  return arkivClient.createEntity({
-    payload: jsonToPayload(data),
-    contentType: 'application/json',
-    attributes,
-    expiresIn: calculateBTL(expiresInDays)
-  });
-}
+  if (checkpoint && checkpoint.completed) {
+    log.info(`⏭️  ${stream.name} already backfilled`, { entity_count: checkpoint.done });
+    return checkpoint.done;
+  }
 
-// Sync pageviews (najważniejsze!)
-async function syncPageviews(limit = 1000) {
-  console.log('📊 Syncing pageviews...');
+  const range = `
+    t.created_at >= $1::timestamptz
+    AND ($2::timestamptz IS NULL OR t.created_at < $2::timestamptz)
+    AND ($3::uuid IS NULL OR t.website_id = $3::uuid)
+  `;
+
+  const countResult = await umami.query(
+    `SELECT COUNT(*)::int AS total FROM ${stream.table} t WHERE ${range}`,
+    [from, to, websiteId]
+  );
+  const total = countResult.rows[0].total;
+
+  let cursorTime = checkpoint ? checkpoint.created_at : null;
+  let cursorId = checkpoint ? checkpoint.id : null;
+  let done = checkpoint ? checkpoint.done : 0;
+  const startedAt = Date.now();
+  const doneAtStart = done;
+  const minInterval = rate > 0 ? 60000 / rate : 0;
+
+  log.info(`📚 Backfilling ${stream.name}`, { total, resume_after: checkpoint ? done : undefined });
 
   const query = `
-    SELECT
-      p.id,
-      p.website_id,
-      p.session_id,
-      p.created_at,
-      p.url,
-      p.referrer,
-      w.name as website_name,
-      w.domain as website_domain
-    FROM pageview p
-    JOIN website w ON p.website_id = w.id
-    WHERE p.created_at > NOW() - INTERVAL '1 hour'
-    ORDER BY p.created_at DESC
-    LIMIT $1
+    SELECT t.*, t.created_at::text AS cursor_time
+    FROM ${stream.table} t
+    WHERE ${range}
+      AND ($4::text IS NULL
+        OR t.created_at > $4::timestamptz
+        OR (t.created_at = $4::timestamptz AND t.${stream.idColumn} > $5))
+    ORDER BY t.created_at, t.${stream.idColumn}
+    LIMIT $6
   `;
 
-  const result = await umami.query(query, [limit]);
+  while (true) {
+    const batchStartedAt = Date.now();
+    const result = await umami.query(query, [from, to, websiteId, cursorTime, cursorId, batchSize]);
 
-  if (result.rows.length === 0) {
-    console.log('📭 No new pageviews to sync');
-    return;
+    if (result.rows.length === 0) {
+      break;
+    }
+
+    if (stream.prepare) {
+      await stream.prepare(result.rows);
+    }
+
+    await initGolem();
+    const syncTime = Math.floor(Date.now() / 1000);
+
+    const entries = result.rows
+      .map(row => stream.map(row))
+      .filter(Boolean)
+      .map(item => ({ subject: item }));
+
+    const plan = await writeRouted(entries, ({ subject }, target) => target.toRecord(subject, syncTime));
+
+    const lastRow = result.rows[result.rows.length - 1];
+    cursorTime = lastRow.cursor_time;
+    cursorId = String(lastRow[stream.idColumn]);
+    done += result.rows.length;
+    setCheckpoint(checkpointName, { created_at: cursorTime, id: cursorId, done });
+
+    const elapsed = (Date.now() - startedAt) / 1000;
+    const perSecond = (done - doneAtStart) / Math.max(elapsed, 0.001);
+    const percent = total > 0 ? Math.min(100, (done / total) * 100).toFixed(1) : '100.0';
+    log.info(`  ${stream.name}: ${done}/${total} (${percent}%)`, {
+      entity_count: plan.creates.length,
+      skipped: plan.skipped.length,
+      excluded: plan.excluded || undefined,
+      rows_per_second: Number(perSecond.toFixed(1)),
+      eta: formatDuration((total - done) / perSecond),
+      website_id: websiteId || undefined
+    });
+
+    if (result.rows.length < batchSize) {
+      break;
+    }
+
+    // Rate control: at most `rate` batches per minute
+    const wait = minInterval - (Date.now() - batchStartedAt);
+    if (wait > 0) {
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
   }
 
-  await initGolem();
-  const syncTime = Math.floor(Date.now() / 1000);
+  setCheckpoint(checkpointName, { created_at: cursorTime, id: cursorId, done, completed: true });
+  log.info(`✅ ${stream.name} backfilled`, { entity_count: done });
 
-  const creates = result.rows.map(row => ({
-    payload: jsonToPayload({
-      ...row,
-      created_at: formatTimestamp(row.created_at)
-    }),
-    contentType: 'application/json',
-    attributes: toAttributes([
-      ['type', 'pageview'],
-      ['source', 'umami'],
-      ['website_id', row.website_id],
-      ['website_domain', row.website_domain],
-      ['url', row.url],
-      ['timestamp', formatTimestamp(row.created_at)],
-      ['umami_id', row.id],
-      ['sync_time', syncTime]
-    ]),
-    expiresIn: calculateBTL(1)
-  }));
+  return done;
+}
 
-  const { createdEntities } = await arkivClient.mutateEntities({ creates });
-  console.log(`✅ Synced ${createdEntities.length} pageviews to Arkiv DB`);
+// Batch sizes from flags or env; 0 would end a backfill early or loop an extend forever
+function checkBatchSize(batchSize, name) {
+  if (!Number.isInteger(batchSize) || batchSize < 1) {
+    throw new Error(`Invalid ${name}: ${batchSize} (expected a positive integer)`);
+  }
 }
 
-// Sync events (custom tracking)
-async function syncEvents(limit = 1000) {
-  console.log('🎯 Syncing events...');
+// Export historical Umami data to Arkiv in resumable chunks
+async function backfill(options) {
+  checkBatchSize(options.batchSize, 'backfill batch size (--batch-size or BACKFILL_BATCH_SIZE)');
+  const runKey = `backfill:${options.websiteId || 'all'}:${options.from}:${options.to || 'open'}`;
 
-  const query = `
-    SELECT
-      e.id,
-      e.website_id,
-      e.session_id,
-      e.created_at,
-      e.url,
-      e.event_name,
-      e.event_data,
-      w.name as website_name,
-      w.domain as website_domain
-    FROM event e
-    JOIN website w ON e.website_id = w.id
-    WHERE e.created_at > NOW() - INTERVAL '1 hour'
-    ORDER BY e.created_at DESC
-    LIMIT $1
-  `;
+  if (options.restart) {
+    BACKFILL_STREAMS.forEach(stream => clearCheckpoint(`${runKey}:${stream.name}`));
+  }
 
-  const result = await umami.query(query, [limit]);
+  log.info('🚀 Starting Umami → Arkiv DB backfill...', {
+    from: options.from,
+    to: options.to || 'now',
+    website_id: options.websiteId || undefined,
+    batch_size: options.batchSize,
+    rate: options.rate > 0 ? `${options.rate} batches/min` : 'unlimited'
+  });
+  logStartupPolicies();
 
-  if (result.rows.length === 0) {
-    console.log('📭 No new events to sync');
-    return;
+  if (await detectSchemaVersion(umami) !== 'v2') {
+    throw new Error('Backfill requires the Umami v2 schema (website_event, session, event_data)');
   }
 
   await initGolem();
-  const syncTime = Math.floor(Date.now() / 1000);
 
-  const creates = result.rows.map(row => ({
-    payload: jsonToPayload({
-      ...row,
-      created_at: formatTimestamp(row.created_at)
-    }),
+  const results = {};
+  for (const stream of BACKFILL_STREAMS) {
+    results[stream.name] = await backfillStream(stream, { ...options, runKey });
+  }
+
+  log.info('✅ Backfill completed successfully!');
+  return results;
+}
+
+function rollupId(rollup) {
+  return `${rollup.website_id}:${rollup.period_start}`;
+}
+
+function rollupToEntity(rollup, type, syncTime, target) {
+  const { payload, attributes: encryptionAttributes } = encodePayload(rollup);
+
+  return {
+    payload,
     contentType: 'application/json',
     attributes: toAttributes([
-      ['type', 'event'],
+      ['type', type],
       ['source', 'umami'],
-      ['website_id', row.website_id],
-      ['event_name', row.event_name],
-      ['timestamp', formatTimestamp(row.created_at)],
-      ['umami_id', row.id],
-      ['sync_time', syncTime]
+      ['website_id', rollup.website_id],
+      ['granularity', rollup.granularity],
+      ['period_start', rollup.period_start],
+      ['period_end', rollup.period_end],
+      ['period_ts', Math.floor(Date.parse(rollup.period_start) / 1000)],
+      ['pageviews', rollup.pageviews],
+      ['sessions', rollup.sessions],
+      ['events', rollup.events],
+      ['timestamp', rollup.period_start],
+      ['umami_id', rollupId(rollup)],
+      ['sync_time', syncTime],
+      ...encryptionAttributes
     ]),
-    expiresIn: calculateBTL(1)
-  }));
-
-  const { createdEntities } = await arkivClient.mutateEntities({ creates });
-  console.log(`✅ Synced ${createdEntities.length} events to Arkiv DB`);
+    expiresIn: calculateBTL(target.retentionDays(type, rollup.website_id))
+  };
 }
 
-// Sync sessions
-async function syncSessions(limit = 500) {
-  console.log('👥 Syncing sessions...');
+// Compute and write the rollups of one granularity. Only closed periods are written;
+// a digest per period (kept for the recompute window) skips unchanged aggregates and
+// turns late data for a closed period into an update of its entity.
+async function rollupGranularity(name, { from = null, to = null, websiteId = null, force = false, dryRun = false }) {
+  const { type, seconds, periodsPerQuery } = getGranularity(name);
+  const version = await detectSchemaVersion(umami);
+  const checkpoint = getCheckpoint(type) || {};
+  const digests = { ...(checkpoint.digests || {}) };
+
+  const openPeriod = periodStart(name, Date.now());
+  const recomputeFrom = periodStart(name, openPeriod - ROLLUP_RECOMPUTE_HOURS * 60 * 60 * 1000);
+  const scheduled = !from && !to && !websiteId;
+
+  // Scheduled runs cover everything closed since the last run plus the recompute window
+  let fromTime = from ? periodStart(name, Date.parse(from)) : recomputeFrom;
+  if (scheduled && checkpoint.closed_until) {
+    fromTime = Math.min(fromTime, Date.parse(checkpoint.closed_until));
+  }
+  const toTime = Math.min(to ? periodStart(name, Date.parse(to)) : openPeriod, openPeriod);
+  let closedUntil = checkpoint.closed_until || null;
 
-  const query = `
-    SELECT
-      s.id,
-      s.session_id,
-      s.website_id,
-      s.created_at,
-      s.hostname,
-      s.browser,
-      s.os,
-      s.device,
-      s.screen,
-      s.language,
-      s.country,
-      w.name as website_name,
-      w.domain as website_domain
-    FROM session s
-    JOIN website w ON s.website_id = w.id
-    WHERE s.created_at > NOW() - INTERVAL '1 hour'
-    ORDER BY s.created_at DESC
-    LIMIT $1
-  `;
+  log.info(`🧮 Rolling up ${name}${dryRun ? ' (dry run)' : ''}`, {
+    from: new Date(fromTime).toISOString(),
+    to: new Date(toTime).toISOString(),
+    website_id: websiteId || undefined
+  });
 
-  const result = await umami.query(query, [limit]);
+  const stats = { periods: 0, written: 0, updated: 0, unchanged: 0 };
+  const chunkMs = periodsPerQuery * seconds * 1000;
 
-  if (result.rows.length === 0) {
-    console.log('📭 No new sessions to sync');
-    return;
-  }
+  for (let chunkStart = fromTime; chunkStart < toTime; chunkStart += chunkMs) {
+    const chunkEnd = Math.min(chunkStart + chunkMs, toTime);
+    // Top paths and referrers go through the privacy policy like the raw events
+    const rollups = (await computeRollups(umami, version, name, { from: chunkStart, to: chunkEnd, websiteId }))
+      .map(rollup => scrubRollup(rollup));
+    const changed = rollups.filter(rollup => force || digests[rollupId(rollup)] !== hashPayload(rollup));
 
-  await initGolem();
-  const syncTime = Math.floor(Date.now() / 1000);
+    stats.periods += rollups.length;
+    stats.unchanged += rollups.length - changed.length;
 
-  const creates = result.rows.map(row => ({
-    payload: jsonToPayload({
-      ...row,
-      created_at: formatTimestamp(row.created_at)
-    }),
-    contentType: 'application/json',
-    attributes: toAttributes([
-      ['type', 'session'],
-      ['source', 'umami'],
-      ['website_id', row.website_id],
-      ['country', row.country || 'unknown'],
-      ['device', row.device || 'unknown'],
-      ['timestamp', formatTimestamp(row.created_at)],
-      ['umami_id', row.id],
-      ['session_id', row.session_id],
-      ['sync_time', syncTime]
-    ]),
-    expiresIn: calculateBTL(1)
-  }));
+    if (dryRun) {
+      stats.written += changed.length;
+      continue;
+    }
 
-  const { createdEntities } = await arkivClient.mutateEntities({ creates });
-  console.log(`✅ Synced ${createdEntities.length} sessions to Arkiv DB`);
-}
+    if (changed.length > 0) {
+      await initGolem();
+      const syncTime = Math.floor(Date.now() / 1000);
 
-// Sync website metadata
-async function syncWebsites() {
-  console.log('🌐 Syncing websites metadata...');
+      for (let i = 0; i < changed.length; i += ROLLUP_BATCH_SIZE) {
+        const batch = changed.slice(i, i + ROLLUP_BATCH_SIZE);
+        const entries = batch.map(rollup => ({ rollup, subject: { type, website_id: rollup.website_id } }));
 
-  const query = `
-    SELECT
-      id,
-      name,
-      domain,
-      share_id,
-      created_at,
-      updated_at
-    FROM website
-    ORDER BY updated_at DESC
-  `;
+        const plan = await writeRouted(entries, ({ rollup }, target) => (
+          { type, umamiId: rollupId(rollup), entity: rollupToEntity(rollup, type, syncTime, target) }
+        ), { upsertTypes: [type] });
 
-  const result = await umami.query(query);
+        batch.forEach(rollup => {
+          digests[rollupId(rollup)] = hashPayload(rollup);
+        });
+        stats.written += plan.creates.length + plan.updates.length;
+        stats.updated += plan.updates.length;
+      }
+    }
+
+    if (scheduled && (!closedUntil || chunkEnd > Date.parse(closedUntil))) {
+      closedUntil = new Date(chunkEnd).toISOString();
+    }
 
-  if (result.rows.length === 0) {
-    console.log('📭 No website metadata changes to sync');
-    return;
+    // Digests older than the recompute window are never compared again
+    Object.keys(digests).forEach(key => {
+      if (Date.parse(key.slice(key.indexOf(':') + 1)) < recomputeFrom) {
+        delete digests[key];
+      }
+    });
+    setCheckpoint(type, { closed_until: closedUntil, digests });
   }
 
-  await initGolem();
-  const syncTime = Math.floor(Date.now() / 1000);
-
-  const creates = result.rows.map(row => ({
-    payload: jsonToPayload({
-      ...row,
-      created_at: formatTimestamp(row.created_at),
-      updated_at: formatTimestamp(row.updated_at)
-    }),
-    contentType: 'application/json',
-    attributes: toAttributes([
-      ['type', 'website_metadata'],
-      ['source', 'umami'],
-      ['website_id', row.id],
-      ['domain', row.domain],
-      ['name', row.name],
-      ['timestamp', formatTimestamp(row.updated_at || row.created_at)],
-      ['umami_id', row.id],
-      ['sync_time', syncTime]
-    ]),
-    expiresIn: calculateBTL(2)
-  }));
+  log.info(`✅ ${name} rollups ${dryRun ? 'computed' : 'written'}`, {
+    periods: stats.periods,
+    entity_count: stats.written,
+    recomputed: stats.updated,
+    unchanged: stats.unchanged
+  });
 
-  const { createdEntities } = await arkivClient.mutateEntities({ creates });
-  console.log(`✅ Synced ${createdEntities.length} websites to Arkiv DB`);
+  return stats;
 }
 
-// Funkcja pełnej synchronizacji
-async function fullSync() {
-  try {
-    console.log('🚀 Starting Umami → Arkiv DB sync...');
+// Aggregate Umami data into hourly/daily rollup entities
+async function rollup({ granularities, ...options }) {
+  log.info('🚀 Starting Umami → Arkiv DB rollups...');
+  const results = {};
 
-    await initGolem();
+  for (const name of granularities) {
+    results[name] = await rollupGranularity(name, options);
+  }
+
+  log.info('✅ Rollups completed successfully!');
+  return results;
+}
 
-    await syncPageviews();
-    await syncEvents();
-    await syncSessions();
-    await syncWebsites();
+// Attributes written as numbers - the rest are strings (timestamps are ISO strings)
+const NUMERIC_ATTRIBUTES = ['sync_time', 'period_ts', 'pageviews', 'sessions', 'events', 'batch_size'];
 
-    console.log('✅ Sync completed successfully!');
+const CONDITION_PREDICATES = { '=': eq, '!=': neq, '>': gt, '>=': gte, '<': lt, '<=': lte };
 
-  } catch (error) {
-    console.error('❌ Sync failed:', error);
-    process.exit(1);
-  } finally {
-    await umami.end();
-  }
+// Slack between the Umami database clock (timestamp) and the sync host's (sync_time)
+const SYNC_CLOCK_SKEW_MS = 60 * 60 * 1000;
+const SESSION_LOOKUP_CHUNK = 50;
+
+// Entity -> { key, ...attributes, data: payload }
+function entityToRecord(entity) {
+  const record = { key: entity.key };
+  entity.attributes.forEach(({ key, value }) => {
+    record[key] = value;
+  });
+  record.data = decodePayload(entity);
+  return record;
 }
 
 // Funkcja zapytań do Arkiv DB
-async function queryGolemData(type, filters = {}) {
-  await initGolem();
+//   filters:    { website_id: '…' } equality on attributes
+//   conditions: [{ key, op, value }] with op one of = != > >= < <=
+//   from/to:    time range on timeField; sync_time (unix seconds) is filtered by Arkiv,
+//               the ISO timestamp client-side as in verify/restore
+//   sort:       { name, order } ordered by Arkiv; limit stops paging early
+//   sink:       routing sink to read from (default: the ARKIV_* account)
+async function queryEntities(type, { filters = {}, conditions = [], from = null, to = null, timeField = 'timestamp', sort = null, limit = null, sink: sinkName = DEFAULT_SINK } = {}) {
+  const target = await router.sink(sinkName).init();
 
   const predicates = [
     eq('source', 'umami'),
@@ -393,73 +602,636 @@ async function queryGolemData(type, filters = {}) {
     predicates.push(eq(key, typeof value === 'number' ? value : String(value)));
   }
 
-  const results = [];
-  const pageSize = 200;
+  conditions.forEach(({ key, op, value }) => {
+    const predicate = CONDITION_PREDICATES[op];
+    if (!predicate) {
+      throw new Error(`Unknown operator ${op} in condition on ${key}`);
+    }
+    predicates.push(predicate(key, value));
+  });
 
-  const builder = arkivClient
-    .buildQuery()
-    .ownedBy(arkivAccount.address)
-    .withAttributes(true)
-    .withPayload(true)
-    .limit(pageSize)
-    .where(predicates);
+  const fromMs = from ? Date.parse(from) : null;
+  const toMs = to ? Date.parse(to) : null;
 
-  let queryResult = await builder.fetch();
-  results.push(...queryResult.entities.map(entity => entity.toJson()));
+  if (timeField === 'sync_time') {
+    if (fromMs !== null) {
+      predicates.push(gte('sync_time', Math.floor(fromMs / 1000)));
+    }
+    if (toMs !== null) {
+      predicates.push(lt('sync_time', Math.ceil(toMs / 1000)));
+    }
+  } else if (timeField !== 'timestamp') {
+    throw new Error(`Unknown time field: ${timeField} (expected timestamp or sync_time)`);
+  }
 
-  while (queryResult.hasNextPage()) {
-    await queryResult.next();
-    results.push(...queryResult.entities.map(entity => entity.toJson()));
+  // Records are synced after they happen (sync_time >= timestamp), so Arkiv can skip what
+  // was synced before `from`; the exact range is checked client-side below
+  if (timeField === 'timestamp' && fromMs !== null) {
+    predicates.push(gte('sync_time', Math.floor((fromMs - SYNC_CLOCK_SKEW_MS) / 1000)));
   }
 
+  const inRange = record => {
+    if (timeField !== 'timestamp' || (fromMs === null && toMs === null)) {
+      return true;
+    }
+    const time = Date.parse(record.timestamp);
+    return (fromMs === null || time >= fromMs) && (toMs === null || time < toMs);
+  };
+
+  const orderBy = sort
+    ? [{ name: sort.name, type: NUMERIC_ATTRIBUTES.includes(sort.name) ? 'number' : 'string', order: sort.order }]
+    : [];
+
+  const results = [];
+
+  await target.forEachPage(predicates, entities => {
+    for (const entity of entities) {
+      if (limit !== null && results.length >= limit) {
+        return false;
+      }
+      const record = entityToRecord(entity);
+      if (inRange(record)) {
+        results.push(record);
+      }
+    }
+    return limit === null || results.length < limit;
+  }, { orderBy });
+
   return results;
 }
 
-// CLI interface
-async function main() {
-  const command = process.argv[2];
+// Payloads of the matching entities (see queryEntities for the options)
+async function queryGolemData(type, filters = {}, options = {}) {
+  const records = await queryEntities(type, { ...options, filters });
+  return records.map(record => record.data);
+}
+
+// Session payloads by umami_id (the session_id of pageviews and events), whenever they were created
+async function querySessionsById(websiteId, sessionIds, { sink: sinkName } = {}) {
+  const target = await router.sink(sinkName).init();
+  const sessions = [];
+
+  for (let i = 0; i < sessionIds.length; i += SESSION_LOOKUP_CHUNK) {
+    const chunk = sessionIds.slice(i, i + SESSION_LOOKUP_CHUNK);
+    const predicates = [
+      eq('source', 'umami'),
+      eq('type', 'session'),
+      eq('website_id', String(websiteId)),
+      or(chunk.map(id => eq('umami_id', String(id))))
+    ];
+    await target.forEachPage(predicates, entities => {
+      entities.forEach(entity => sessions.push(entityToRecord(entity).data));
+    });
+  }
+
+  return sessions;
+}
+
+// Website by id or domain from the synced website_metadata, so it resolves while Umami is down
+async function findArkivWebsite(idOrDomain, { sink: sinkName } = {}) {
+  const websites = await queryGolemData('website_metadata', {}, { sink: sinkName });
+  const website = websites.find(site => String(site.id) === idOrDomain) || findWebsiteByDomain(websites, idOrDomain);
+  return website ? { id: website.id, name: website.name, domain: website.domain } : null;
+}
+
+// Report for one website and [from, to) from the Arkiv copy alone (see lib/umami-report.js)
+async function report({ website, from, to, top, sink: sinkName }) {
+  const filters = { website_id: website.id };
+
+  log.info('📊 Building report from Arkiv DB', { website_id: website.id, from, to, sink: sinkName || undefined });
+
+  const pageviews = await queryGolemData('pageview', filters, { from, to, sink: sinkName });
+  const events = await queryGolemData('event', filters, { from, to, sink: sinkName });
+  // Visits in the range may belong to sessions created before it, so they are looked up by id
+  const sessionIds = new Set([...pageviews, ...events].map(record => record.session_id).filter(Boolean));
+  const sessions = await querySessionsById(website.id, Array.from(sessionIds), { sink: sinkName });
+
+  return computeReport({ website, from, to, pageviews, events, sessions }, { top });
+}
 
-  switch (command) {
-    case 'sync':
-      await fullSync();
+// Stable JSON (sorted keys) so payload hashes don't depend on key order
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function hashPayload(data) {
+  return createHash('sha256').update(canonicalJson(data)).digest('hex');
+}
+
+// Digest over all (umami_id, hash) pairs of one side, for a quick equality check
+function digestRecords(records) {
+  const digest = createHash('sha256');
+  Array.from(records.keys()).sort().forEach(id => digest.update(`${id}:${records.get(id).hash}\n`));
+  return digest.digest('hex').slice(0, 16);
+}
+
+// Postgres side: Map<umami_id, { hash, item }> for one type and window; with `sink`, only
+// the rows the routing rules send to that sink
+async function loadPostgresRecords(type, { from, to, websiteId, sink: sinkName = null }) {
+  const version = await detectSchemaVersion(umami);
+  const query = getSyncQuery(version, type);
+  const fromTime = Date.parse(from);
+  const toTime = to ? Date.parse(to) : Infinity;
+  const records = new Map();
+
+  // The sync queries are exclusive on the cursor, so start 1ms early and filter
+  let cursorTime = new Date(fromTime - 1).toISOString();
+  let cursorId = null;
+
+  while (true) {
+    const result = await umami.query(query, [cursorTime, cursorId, VERIFY_PAGE_SIZE]);
+    if (result.rows.length === 0) {
       break;
+    }
 
-    case 'query':
-      const type = process.argv[3];
-      const websiteId = process.argv[4];
+    if (type === 'event') {
+      await attachEventProperties(umami, version, result.rows);
+    }
 
-      if (!type) {
-        console.log('Usage: node golem-sync.js query <type> [website_id]');
-        console.log('Types: pageview, event, session, website_metadata');
-        process.exit(1);
+    let pastWindow = false;
+    for (const { cursor_time, cursor_id, ...row } of result.rows) {
+      const createdAt = new Date(row.created_at).getTime();
+      if (createdAt >= toTime) {
+        pastWindow = true;
+        continue;
+      }
+      if (createdAt < fromTime) {
+        continue;
       }
 
-      await initGolem();
-      const filters = websiteId ? { website_id: websiteId } : {};
-      const data = await queryGolemData(type, filters);
-      console.log(`Found ${data.length} ${type} records`);
-      console.log(JSON.stringify(data.slice(0, 5), null, 2)); // Pokaż pierwsze 5
-      break;
+      const item = mapRow(version, type, row);
+      if (websiteId && String(item.website_id) !== websiteId) {
+        continue;
+      }
+      if (sinkName && !(await router.route(item)).includes(sinkName)) {
+        continue;
+      }
+      // Arkiv holds the prepared item (pseudonymised ids, scrubbed payload), so compare against that
+      const prepared = prepareItem(item).item;
+      records.set(String(prepared.umami_id), { hash: hashPayload(prepared.data), item });
+    }
+
+    const lastRow = result.rows[result.rows.length - 1];
+    cursorTime = lastRow.cursor_time;
+    cursorId = String(lastRow.cursor_id);
 
-    default:
-      console.log('Usage:');
-      console.log('  node golem-sync.js sync              # Sync Umami data to Arkiv DB');
-      console.log('  node golem-sync.js query <type>      # Query data from Arkiv DB');
-      console.log('  node golem-sync.js query pageview    # Get pageviews');
-      console.log('  node golem-sync.js query event       # Get events');
+    if (pastWindow || result.rows.length < VERIFY_PAGE_SIZE) {
       break;
+    }
   }
+
+  return records;
 }
 
-if (require.main === module) {
-  main();
+// Arkiv side: Map<umami_id, { hash, entityKey }> plus ids written more than once
+async function loadArkivRecords(type, { from, to, websiteId, sink: sinkName = DEFAULT_SINK }) {
+  const fromTime = Date.parse(from);
+  const toTime = to ? Date.parse(to) : Infinity;
+  const records = new Map();
+  const duplicates = new Set();
+
+  const predicates = [eq('source', 'umami'), eq('type', type)];
+  if (websiteId) {
+    predicates.push(eq('website_id', websiteId));
+  }
+
+  await router.sink(sinkName).forEachPage(predicates, entities => {
+    entities.forEach(entity => {
+      const attributes = Object.fromEntries(entity.attributes.map(({ key, value }) => [key, value]));
+      const timestamp = Date.parse(attributes.timestamp);
+      if (attributes.umami_id === undefined || timestamp < fromTime || timestamp >= toTime) {
+        return;
+      }
+
+      const id = String(attributes.umami_id);
+      if (records.has(id)) {
+        duplicates.add(id);
+      }
+
+      let hash = null;
+      try {
+        hash = hashPayload(decodePayload(entity));
+      } catch (error) {
+        // Unreadable payload - always reported as mismatched
+      }
+      records.set(id, { hash, entityKey: entity.key });
+    });
+  });
+
+  return { records, duplicates };
+}
+
+async function verifyType(type, options) {
+  const postgres = await loadPostgresRecords(type, { ...options, sink: options.sink || DEFAULT_SINK });
+  const { records: arkiv, duplicates } = await loadArkivRecords(type, options);
+
+  const missing = [];
+  const mismatched = [];
+  const extra = [];
+
+  postgres.forEach((record, id) => {
+    const onChain = arkiv.get(id);
+    if (!onChain) {
+      missing.push(id);
+    } else if (onChain.hash !== record.hash) {
+      mismatched.push(id);
+    }
+  });
+
+  arkiv.forEach((record, id) => {
+    if (!postgres.has(id)) {
+      extra.push(id);
+    }
+  });
+
+  return {
+    type,
+    postgres: { count: postgres.size, digest: digestRecords(postgres) },
+    arkiv: { count: arkiv.size, digest: digestRecords(arkiv) },
+    missing,
+    extra,
+    mismatched,
+    duplicates: Array.from(duplicates),
+    missingItems: missing.map(id => postgres.get(id).item)
+  };
+}
+
+// Re-sync records that are in Postgres but not on Arkiv
+async function resyncItems(items) {
+  let written = 0;
+
+  for (let i = 0; i < items.length; i += BACKFILL_BATCH_SIZE) {
+    const syncTime = Math.floor(Date.now() / 1000);
+    const entries = items.slice(i, i + BACKFILL_BATCH_SIZE).map(item => ({ subject: item }));
+
+    const plan = await writeRouted(entries, ({ subject }, target) => target.toRecord(subject, syncTime));
+    written += plan.creates.length;
+  }
+
+  return written;
+}
+
+// Compare Postgres against Arkiv for a window; returns true when both sides match
+async function verify(options) {
+  const { types, fix, json, show } = options;
+  const reports = [];
+
+  await router.sink(options.sink).init();
+
+  for (const type of types) {
+    if (!json) {
+      log.info(`🔍 Verifying ${type}...`);
+    }
+
+    const report = await verifyType(type, options);
+
+    if (fix && report.missingItems.length > 0) {
+      report.resynced = await resyncItems(report.missingItems);
+    }
+
+    reports.push(report);
+  }
+
+  if (!json) {
+    console.log(`\n📋 Verification ${options.from} → ${options.to || 'now'}${options.websiteId ? ` (website ${options.websiteId})` : ''}${options.sink ? ` (sink ${options.sink})` : ''}`);
+    console.log('═'.repeat(80));
+    console.log(`${'type'.padEnd(10)} | ${'postgres'.padStart(8)} | ${'arkiv'.padStart(8)} | ${'missing'.padStart(7)} | ${'extra'.padStart(6)} | ${'mismatch'.padStart(8)} | ${'dupes'.padStart(5)} | digest`);
+
+    reports.forEach(report => {
+      const digest = report.postgres.digest === report.arkiv.digest ? '✅ match' : '❌ differs';
+      console.log(
+        `${report.type.padEnd(10)} | ${String(report.postgres.count).padStart(8)} | ${String(report.arkiv.count).padStart(8)} | ` +
+        `${String(report.missing.length).padStart(7)} | ${String(report.extra.length).padStart(6)} | ` +
+        `${String(report.mismatched.length).padStart(8)} | ${String(report.duplicates.length).padStart(5)} | ${digest}`
+      );
+    });
+
+    reports.forEach(report => {
+      [['missing', report.missing], ['extra', report.extra], ['mismatched', report.mismatched], ['duplicated', report.duplicates]]
+        .filter(([, ids]) => ids.length > 0)
+        .forEach(([label, ids]) => {
+          console.log(`\n${report.type} ${label} (${ids.length}):`);
+          ids.slice(0, show).forEach(id => console.log(`  - ${id}`));
+          if (ids.length > show) {
+            console.log(`  ... and ${ids.length - show} more`);
+          }
+        });
+
+      if (report.resynced !== undefined) {
+        log.info(`🔁 Re-synced missing ${report.type} records`, { entity_count: report.resynced });
+      }
+    });
+  }
+
+  return {
+    inSync: reports.every(report => (
+      report.missing.length === 0 &&
+      report.extra.length === 0 &&
+      report.mismatched.length === 0 &&
+      report.duplicates.length === 0
+    )),
+    reports: reports.map(({ missingItems, ...report }) => report)
+  };
+}
+
+// Dry run of the privacy policy over Postgres rows of a window: nothing is written
+async function previewPrivacy({ types, from, to, websiteId, show = 10, json = false }) {
+  const reports = [];
+
+  for (const type of types) {
+    const records = await loadPostgresRecords(type, { from, to, websiteId });
+    const report = { type, scanned: records.size, redacted: 0, rules: {}, samples: [] };
+
+    records.forEach(({ item }) => {
+      const { redactions } = scrubItem(item);
+      if (redactions.length === 0) {
+        return;
+      }
+      report.redacted += 1;
+      redactions.forEach(redaction => {
+        report.rules[redaction.rule] = (report.rules[redaction.rule] || 0) + 1;
+        if (report.samples.length < show) {
+          report.samples.push({ umami_id: item.umami_id, ...redaction });
+        }
+      });
+    });
+
+    reports.push(report);
+  }
+
+  if (!json) {
+    describePrivacyPolicy().forEach(line => console.log(line));
+    console.log(`\n🧹 Privacy dry run ${from} → ${to || 'now'}${websiteId ? ` (website ${websiteId})` : ''}`);
+    reports.forEach(report => {
+      const rules = Object.entries(report.rules).map(([rule, count]) => `${rule}=${count}`).join(', ');
+      console.log(`\n${report.type}: ${report.redacted} of ${report.scanned} records would be redacted${rules ? ` (${rules})` : ''}`);
+      report.samples.forEach(sample => {
+        console.log(`  - ${sample.umami_id} ${sample.field} [${sample.rule}]: ${JSON.stringify(sample.before)} → ${JSON.stringify(sample.after === undefined ? null : sample.after)}`);
+      });
+    });
+  }
+
+  return reports;
+}
+
+// Rebuild an Umami (v2) Postgres database from the entities on Arkiv
+async function restore({ targetUrl, types, websiteId, from, to, onConflict, dryRun, sink: sinkName }) {
+  const target = new Pool({ connectionString: targetUrl });
+  const fromTime = from ? Date.parse(from) : null;
+  const toTime = to ? Date.parse(to) : null;
+
+  try {
+    log.info(`🚑 Restoring ${types.join(', ')} from Arkiv DB${dryRun ? ' (dry run)' : ''}...`, { website_id: websiteId || undefined, sink: sinkName || undefined });
+
+    const targetColumns = dryRun ? null : await loadTargetColumns(target);
+    const source = await router.sink(sinkName).init();
+    const results = {};
+
+    for (const type of types) {
+      const predicates = [eq('source', 'umami'), eq('type', type)];
+      if (websiteId) {
+        predicates.push(eq('website_id', websiteId));
+      }
+
+      const stats = { entities: 0, rows: 0, inserted: 0, unmappable: 0, outOfRange: 0 };
+
+      await source.forEachPage(predicates, async entities => {
+        const rows = { website: [], session: [], website_event: [], event_data: [] };
+
+        entities.forEach(entity => {
+          stats.entities++;
+
+          let data;
+          try {
+            data = decodePayload(entity);
+          } catch (error) {
+            stats.unmappable++;
+            return;
+          }
+
+          const createdAt = Date.parse(data.created_at);
+          if ((fromTime && createdAt < fromTime) || (toTime && createdAt >= toTime)) {
+            stats.outOfRange++;
+            return;
+          }
+
+          const mapped = entityToRows(type, data);
+          if (!mapped) {
+            stats.unmappable++;
+            return;
+          }
+
+          Object.entries(mapped).forEach(([table, tableRows]) => rows[table].push(...tableRows));
+        });
+
+        for (const [table, tableRows] of Object.entries(rows)) {
+          stats.rows += tableRows.length;
+          if (!dryRun) {
+            stats.inserted += await insertRows(target, table, tableRows, targetColumns, onConflict);
+          }
+        }
+      });
+
+      log.info(`✅ Restored ${type}`, {
+        entity_count: stats.entities,
+        rows: stats.rows,
+        [onConflict === 'update' ? 'inserted_or_updated' : 'inserted']: dryRun ? undefined : stats.inserted,
+        out_of_range: stats.outOfRange,
+        not_restorable: stats.unmappable
+      });
+      results[type] = stats;
+    }
+
+    log.info('✅ Restore completed successfully!');
+    return results;
+  } finally {
+    await target.end();
+  }
+}
+
+// Wei → ETH without going through floats
+function formatEther(wei) {
+  const whole = wei / 10n ** 18n;
+  const fraction = (wei % 10n ** 18n).toString().padStart(18, '0').replace(/0+$/, '');
+  return fraction ? `${whole}.${fraction}` : whole.toString();
+}
+
+// Entities of one rule that expire within rule.withinDays
+async function findExpiringEntities(target, rule, timing) {
+  const predicates = [eq('source', 'umami'), eq('type', rule.type)];
+  if (rule.websiteId) {
+    predicates.push(eq('website_id', rule.websiteId));
+  }
+  Object.entries(rule.where).forEach(([key, value]) => predicates.push(eq(key, value)));
+
+  const withinSeconds = rule.withinDays * 24 * 60 * 60;
+  const expiring = [];
+
+  await target.forEachPage(predicates, entities => {
+    entities.forEach(entity => {
+      if (entity.expiresAtBlock === undefined) {
+        return;
+      }
+      const remainingSeconds = Number(entity.expiresAtBlock - timing.currentBlock) * timing.blockDuration;
+      if (remainingSeconds <= withinSeconds) {
+        // Entities under a retired key are re-encrypted as part of the extension; ones under a
+        // key that is no longer in the keyring can only be extended as they are
+        expiring.push({
+          key: entity.key,
+          remainingSeconds,
+          entity: needsRotation(entity) ? entity : null,
+          missingKeyId: missingKeyId(entity)
+        });
+      }
+    });
+  }, { withPayload: canRotate(), withMetadata: true }); // retired keys are only in the keyring when canRotate()
+
+  return expiring;
+}
+
+// Extend entities that are close to expiry according to the extension rules
+async function extendEntities({ rules, batchSize, dryRun, sink: sinkName }) {
+  checkBatchSize(batchSize, 'extend batch size (--batch-size or ARKIV_EXTEND_BATCH_SIZE)');
+  const target = await router.sink(sinkName).init();
+
+  const timing = await target.reader.getBlockTiming();
+  const totals = { extended: 0, reencrypted: 0, notReencrypted: 0, transactions: 0, gasUsed: 0n, cost: 0n };
+
+  log.info(`⏳ Extending entities near expiry${dryRun ? ' (dry run)' : ''}`, { current_block: timing.currentBlock, sink: sinkName || undefined });
+
+  for (const rule of rules) {
+    const label = [rule.type, rule.websiteId && `website ${rule.websiteId}`, ...Object.entries(rule.where).map(([key, value]) => `${key}=${value}`)]
+      .filter(Boolean)
+      .join(', ');
+
+    const expiring = await findExpiringEntities(target, rule, timing);
+    log.info(`🔎 ${label}: entities expiring within ${rule.withinDays}d`, {
+      entity_count: expiring.length,
+      reencrypt: expiring.filter(entry => entry.entity).length || undefined,
+      website_id: rule.websiteId || undefined
+    });
+
+    const missingKeys = expiring.filter(entry => entry.missingKeyId);
+    if (missingKeys.length > 0) {
+      log.warn('⚠️  Entities under a key missing from the keyring are extended without re-encryption', {
+        entity_count: missingKeys.length,
+        key_ids: Array.from(new Set(missingKeys.map(entry => entry.missingKeyId))).join(',')
+      });
+      totals.notReencrypted += missingKeys.length;
+    }
+
+    if (dryRun || expiring.length === 0) {
+      continue;
+    }
+
+    for (let i = 0; i < expiring.length; i += batchSize) {
+      const batch = expiring.slice(i, i + batchSize);
+
+      const { txHash, gasUsed, cost, notReencrypted } = await target.extend(
+        batch.filter(entry => !entry.entity).map(entry => entry.key),
+        rule.extendByDays,
+        { reencrypt: batch.filter(entry => entry.entity) }
+      );
+      const reencrypted = batch.filter(entry => entry.entity).length - notReencrypted.length;
+
+      if (notReencrypted.length > 0) {
+        log.warn('⚠️  Entities could not be re-encrypted and were extended as they are', {
+          entity_count: notReencrypted.length,
+          error: notReencrypted[0].error
+        });
+      }
+
+      totals.extended += batch.length;
+      totals.reencrypted += reencrypted;
+      totals.notReencrypted += notReencrypted.length;
+      totals.transactions++;
+      totals.gasUsed += gasUsed;
+      totals.cost += cost;
+
+      log.info(`✅ Extended ${rule.type} entities by ${rule.extendByDays}d`, {
+        entity_count: batch.length,
+        reencrypted: reencrypted || undefined,
+        tx: txHash,
+        gas: gasUsed,
+        cost_eth: formatEther(cost)
+      });
+    }
+  }
+
+  if (!dryRun) {
+    log.info('💰 Extension finished', {
+      entity_count: totals.extended,
+      reencrypted: totals.reencrypted,
+      not_reencrypted: totals.notReencrypted || undefined,
+      transactions: totals.transactions,
+      gas: totals.gasUsed,
+      cost_eth: formatEther(totals.cost)
+    });
+  }
+
+  return totals;
+}
+
+// CLI interface
+// Checkpoint of every incremental sync type (null = first run looks back INITIAL_LOOKBACK_HOURS)
+function listCheckpoints() {
+  return SYNC_TYPES.map(type => ({ type, checkpoint: getCheckpoint(type) }));
+}
+
+function resetCheckpoints(types = SYNC_TYPES) {
+  types.forEach(clearCheckpoint);
+  log.info(`🧹 Cleared checkpoints: ${types.join(', ')}`);
+  return types;
+}
+
+// Close the Umami Postgres pool so one-shot commands can exit
+async function close() {
+  await umami.end();
 }
 
 module.exports = {
+  SYNC_TYPES,
+  VERIFY_TYPES,
+  UPSERT_TYPES,
+  INITIAL_LOOKBACK_HOURS,
+  BACKFILL_BATCH_SIZE,
+  BACKFILL_RATE,
+  ROLLUP_RECOMPUTE_HOURS,
+  EXTEND_BATCH_SIZE,
+  NUMERIC_ATTRIBUTES,
+  STATE_FILE,
   initGolem,
+  fullSync,
   syncPageviews,
   syncEvents,
   syncSessions,
   syncWebsites,
-  queryGolemData
-};
\ No newline at end of file
+  backfill,
+  restore,
+  verify,
+  previewPrivacy,
+  rollup,
+  extendEntities,
+  queryEntities,
+  queryGolemData,
+  findArkivWebsite,
+  report,
+  listCheckpoints,
+  resetCheckpoints,
+  close
+};
+
+// Kept for `node golem-sync.js <command>`; the commands live in the umamidb CLI
+if (require.main === module) {
+  require('./bin/umamidb').main(process.argv.slice(2));
+}
@@ -0,0 +1,246 @@
+const fs = require('fs');
+const path = require('path');
+const { eq, or } = require('@arkiv-network/sdk/query');
+
+// Dedup layer: remembers which umami records are already on Arkiv so restarts,
+// retries and overlapping syncs never create the same entity twice.
+//   ARKIV_DEDUP=remote  local index + Arkiv lookup for unknown ids (default)
+//   ARKIV_DEDUP=local   local index only
+//   ARKIV_DEDUP=off     write everything
+// Every sink (account/chain) keeps its own index file, see routing.js.
+const INDEX_FILE = process.env.SYNC_INDEX_FILE || path.join(__dirname, '..', 'data', 'synced-index.jsonl');
+const DEDUP_MODE = (process.env.ARKIV_DEDUP || 'remote').toLowerCase();
+const LOOKUP_CHUNK_SIZE = 50;
+
+const indexes = new Map(); // index file -> Map
+
+function indexKey(type, umamiId) {
+  return `${type}:${umamiId}`;
+}
+
+// Index is an append-only JSON lines file; expired entries are dropped on load
+// because an expired entity no longer exists on Arkiv and may be written again
+function loadIndex(file = INDEX_FILE) {
+  if (indexes.has(file)) {
+    return indexes.get(file);
+  }
+
+  const index = new Map();
+  indexes.set(file, index);
+  let lines = [];
+
+  try {
+    lines = fs.readFileSync(file, 'utf8').split('\n').filter(Boolean);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw new Error(`Failed to read sync index from ${file}: ${error.message}`);
+    }
+  }
+
+  const now = Date.now();
+  let expired = 0;
+
+  lines.forEach(line => {
+    try {
+      const entry = JSON.parse(line);
+      if (entry.expires_at && Date.parse(entry.expires_at) < now) {
+        expired++;
+        return;
+      }
+      index.set(indexKey(entry.type, entry.umami_id), entry);
+    } catch (error) {
+      // Torn last line after a crash - ignore it
+    }
+  });
+
+  if (expired > 0 || index.size < lines.length) {
+    compactIndex(file);
+  }
+
+  return index;
+}
+
+function compactIndex(file) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmpFile = `${file}.tmp`;
+  const content = Array.from(indexes.get(file).values()).map(entry => JSON.stringify(entry)).join('\n');
+  fs.writeFileSync(tmpFile, content ? `${content}\n` : '');
+  fs.renameSync(tmpFile, file);
+}
+
+function recordEntities(entries, file = INDEX_FILE) {
+  if (entries.length === 0) {
+    return;
+  }
+
+  const index = loadIndex(file);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  const lines = entries.map(({ type, umamiId, entityKey, expiresIn }) => {
+    const entry = {
+      type,
+      umami_id: String(umamiId),
+      entity_key: entityKey,
+      expires_at: new Date(Date.now() + expiresIn * 1000).toISOString()
+    };
+    index.set(indexKey(type, entry.umami_id), entry);
+    return JSON.stringify(entry);
+  });
+
+  fs.appendFileSync(file, `${lines.join('\n')}\n`);
+}
+
+// Ask Arkiv which of the given umami ids already exist for a type
+async function findExistingEntities(client, owner, type, umamiIds) {
+  const found = new Map();
+
+  for (let i = 0; i < umamiIds.length; i += LOOKUP_CHUNK_SIZE) {
+    const chunk = umamiIds.slice(i, i + LOOKUP_CHUNK_SIZE);
+
+    let queryResult = await client
+      .buildQuery()
+      .ownedBy(owner)
+      .withAttributes(true)
+      .limit(200)
+      .where([
+        eq('source', 'umami'),
+        eq('type', type),
+        or(chunk.map(id => eq('umami_id', typeof id === 'number' ? id : String(id))))
+      ])
+      .fetch();
+
+    const collect = () => queryResult.entities.forEach(entity => {
+      const attribute = entity.attributes.find(attr => attr.key === 'umami_id');
+      if (attribute) {
+        found.set(String(attribute.value), entity.key);
+      }
+    });
+
+    collect();
+    while (queryResult.hasNextPage()) {
+      await queryResult.next();
+      collect();
+    }
+  }
+
+  return found;
+}
+
+// Split records ({ type, umamiId, entity }) into creates, updates and skips.
+// Records of types listed in `upsertTypes` update the existing entity instead of
+// being skipped (e.g. website metadata that changes over time). indexFile is the sink's index.
+async function planWrites(client, owner, records, { upsertTypes = [], indexFile = INDEX_FILE } = {}) {
+  const plan = { creates: [], updates: [], skipped: [] };
+
+  if (DEDUP_MODE === 'off') {
+    plan.creates = records;
+    return plan;
+  }
+
+  const index = loadIndex(indexFile);
+
+  const known = new Map();
+  const unknownByType = new Map();
+
+  records.forEach(record => {
+    const entry = index.get(indexKey(record.type, record.umamiId));
+    if (entry) {
+      known.set(record, entry.entity_key);
+    } else if (record.umamiId !== undefined && record.umamiId !== null) {
+      if (!unknownByType.has(record.type)) {
+        unknownByType.set(record.type, []);
+      }
+      unknownByType.get(record.type).push(record);
+    }
+  });
+
+  if (DEDUP_MODE === 'remote') {
+    for (const [type, typeRecords] of unknownByType) {
+      const ids = Array.from(new Set(typeRecords.map(record => record.umamiId)));
+      const existing = await findExistingEntities(client, owner, type, ids);
+
+      typeRecords.forEach(record => {
+        const entityKey = existing.get(String(record.umamiId));
+        if (entityKey) {
+          known.set(record, entityKey);
+        }
+      });
+    }
+  }
+
+  const seen = new Set();
+
+  records.forEach(record => {
+    const key = indexKey(record.type, record.umamiId);
+
+    // The same record twice in one batch (e.g. a replayed notification)
+    if (seen.has(key)) {
+      plan.skipped.push(record);
+      return;
+    }
+    seen.add(key);
+
+    const entityKey = known.get(record);
+    if (!entityKey) {
+      plan.creates.push(record);
+    } else if (upsertTypes.includes(record.type)) {
+      plan.updates.push({ ...record, entityKey });
+    } else {
+      plan.skipped.push(record);
+    }
+  });
+
+  return plan;
+}
+
+// Remember what a confirmed mutateEntities call wrote
+function commitWrites(plan, { createdEntities = [], updatedEntities = [] }, { indexFile = INDEX_FILE } = {}) {
+  if (DEDUP_MODE === 'off') {
+    return;
+  }
+
+  recordEntities([
+    ...plan.creates.map((record, i) => ({
+      type: record.type,
+      umamiId: record.umamiId,
+      entityKey: createdEntities[i],
+      expiresIn: record.entity.expiresIn
+    })),
+    ...plan.updates.map((record, i) => ({
+      type: record.type,
+      umamiId: record.umamiId,
+      entityKey: updatedEntities[i] || record.entityKey,
+      expiresIn: record.entity.expiresIn
+    }))
+  ].filter(entry => entry.entityKey && entry.umamiId !== undefined && entry.umamiId !== null), indexFile);
+}
+
+// Remember the new expiry of entities a confirmed extend pushed back by `expiresIn` seconds,
+// otherwise the index drops them as expired and local mode writes them again
+function commitExtensions(entityKeys, expiresIn, { indexFile = INDEX_FILE } = {}) {
+  if (DEDUP_MODE === 'off' || entityKeys.length === 0) {
+    return;
+  }
+
+  const byEntityKey = new Map(Array.from(loadIndex(indexFile).values()).map(entry => [entry.entity_key, entry]));
+  const now = Date.now();
+
+  recordEntities(entityKeys
+    .map(entityKey => byEntityKey.get(entityKey))
+    .filter(entry => entry && entry.expires_at)
+    .map(entry => ({
+      type: entry.type,
+      umamiId: entry.umami_id,
+      entityKey: entry.entity_key,
+      expiresIn: Math.max(0, (Date.parse(entry.expires_at) - now) / 1000) + expiresIn
+    })), indexFile);
+}
+
+module.exports = {
+  DEDUP_MODE,
+  INDEX_FILE,
+  planWrites,
+  commitWrites,
+  commitExtensions,
+  findExistingEntities
+};
@@ -0,0 +1,306 @@
+const { createPublicClient, createWalletClient, http } = require('@arkiv-network/sdk');
+const { kaolin } = require('@arkiv-network/sdk/chains');
+const { privateKeyToAccount } = require('@arkiv-network/sdk/accounts');
+const { ExpirationTime } = require('@arkiv-network/sdk/utils');
+const { INDEX_FILE, planWrites, commitWrites, commitExtensions } = require('./arkiv-dedup');
+const { getRetentionDays } = require('./retention');
+const { scrubItem } = require('./privacy');
+const { pseudonymizeItem } = require('./pseudonym');
+const { encodePayload, rewrapPayload } = require('./encryption');
+const { formatTimestamp } = require('./umami-schema');
+const { createLogger } = require('./logger');
+
+const DEFAULT_CHAIN_ID = kaolin.id;
+const DEFAULT_RPC_URL = 'https://kaolin.hoodi.arkiv.network/rpc';
+const DEFAULT_WS_URL = 'wss://kaolin.hoodi.arkiv.network/rpc/ws';
+
+// ARKIV_* settings from the environment; explicit options passed to ArkivSink win
+function arkivConfigFromEnv() {
+  return {
+    chainId: Number(process.env.ARKIV_CHAIN_ID || DEFAULT_CHAIN_ID),
+    rpcUrl: process.env.ARKIV_RPC_URL || DEFAULT_RPC_URL,
+    wsUrl: process.env.ARKIV_WS_URL || DEFAULT_WS_URL,
+    privateKey: process.env.ARKIV_PRIVATE_KEY
+  };
+}
+
+// Stock kaolin unless the chain id or endpoints were changed
+function buildChainConfig({ chainId, rpcUrl, wsUrl }) {
+  if (chainId === kaolin.id && rpcUrl === DEFAULT_RPC_URL && wsUrl === DEFAULT_WS_URL) {
+    return kaolin;
+  }
+
+  const defaultRpc = {
+    http: [rpcUrl]
+  };
+
+  if (wsUrl) {
+    defaultRpc.webSocket = [wsUrl];
+  }
+
+  return {
+    ...kaolin,
+    id: chainId,
+    rpcUrls: {
+      ...kaolin.rpcUrls,
+      default: defaultRpc
+    }
+  };
+}
+
+function normalisePrivateKey(value) {
+  if (!value.startsWith('0x')) {
+    return `0x${value}`;
+  }
+  return value;
+}
+
+// Funkcja obliczania TTL w sekundach
+function calculateBTL(days = 1) {
+  return ExpirationTime.fromDays(days);
+}
+
+// [key, value] pairs to Arkiv attributes; null/undefined values are dropped, later keys win
+function toAttributes(entries) {
+  const attributes = new Map();
+
+  entries.forEach(([key, value]) => {
+    if (key === undefined || key === null || value === undefined || value === null) {
+      return;
+    }
+
+    if (typeof value === 'number') {
+      attributes.set(key, { key, value });
+    } else {
+      attributes.set(key, { key, value: String(value) });
+    }
+  });
+
+  return Array.from(attributes.values());
+}
+
+// Privacy stages every Umami item goes through before it is written: session/event ids
+// are pseudonymised (pseudonym.js), then fields are redacted (privacy.js)
+function prepareItem(rawItem) {
+  return scrubItem(pseudonymizeItem(rawItem));
+}
+
+// Arkiv create for a prepared item
+function itemToEntity(item, syncTime, extraAttributes = [], retentionDays = getRetentionDays(item.type, item.website_id)) {
+  const { payload, attributes: encryptionAttributes } = encodePayload(item.data);
+
+  return {
+    payload,
+    contentType: 'application/json',
+    attributes: toAttributes([
+      ['type', item.type],
+      ['source', 'umami'],
+      ['website_id', item.website_id],
+      ['timestamp', formatTimestamp(item.timestamp)],
+      ['umami_id', item.umami_id],
+      ['sync_time', syncTime],
+      ...extraAttributes,
+      ...Object.entries(item.metadata || {}),
+      ...encryptionAttributes
+    ]),
+    expiresIn: calculateBTL(retentionDays)
+  };
+}
+
+// Writes Umami records to Arkiv through the dedup layer.
+//   const sink = new ArkivSink({ privateKey });
+//   await sink.writeItems([mapPageview(row)]);
+// Options default to the ARKIV_* environment variables; indexFile (dedup index) and
+// retention ({ default, types } over the retention policy) are set per sink by routing.js.
+class ArkivSink {
+  constructor({ logger, indexFile = INDEX_FILE, retention = null, ...options } = {}) {
+    this.config = { ...arkivConfigFromEnv(), ...options };
+    this.indexFile = indexFile;
+    this.retention = retention;
+    this.log = logger || createLogger('arkiv-sink');
+    this.client = null; // wallet client - writes
+    this.reader = null; // public client - queries, receipts, block timing
+    this.account = null;
+  }
+
+  get address() {
+    return this.account ? this.account.address : null;
+  }
+
+  retentionDays(type, websiteId) {
+    return getRetentionDays(type, websiteId, this.retention);
+  }
+
+  async init() {
+    if (this.client) {
+      return this;
+    }
+
+    if (!this.config.privateKey) {
+      throw new Error('ARKIV_PRIVATE_KEY not set in .env');
+    }
+
+    this.account = privateKeyToAccount(normalisePrivateKey(this.config.privateKey.trim()));
+
+    const chain = buildChainConfig(this.config);
+
+    this.client = createWalletClient({
+      account: this.account,
+      chain,
+      transport: http(this.config.rpcUrl)
+    });
+
+    this.reader = createPublicClient({
+      chain,
+      transport: http(this.config.rpcUrl)
+    });
+
+    this.log.info('✅ Connected to Arkiv DB', { address: this.account.address });
+
+    return this;
+  }
+
+  // Map an Umami item ({ type, website_id, umami_id, timestamp, data, metadata }) to a dedup
+  // record { type, umamiId, entity }. The item goes through prepareItem first, so umamiId is
+  // the (pseudonymised) id the entity carries.
+  toRecord(rawItem, syncTime = Math.floor(Date.now() / 1000), extraAttributes = []) {
+    const { item, redactions } = prepareItem(rawItem);
+    if (redactions.length > 0) {
+      this.log.debug('🧹 Redacted before write', {
+        type: item.type,
+        umami_id: item.umami_id,
+        redactions: redactions.map(({ field, rule }) => `${field}:${rule}`).join(',')
+      });
+    }
+
+    return {
+      type: item.type,
+      umamiId: item.umami_id,
+      entity: itemToEntity(item, syncTime, extraAttributes, this.retentionDays(item.type, item.website_id))
+    };
+  }
+
+  toEntity(rawItem, syncTime, extraAttributes) {
+    return this.toRecord(rawItem, syncTime, extraAttributes).entity;
+  }
+
+  // records: [{ type, umamiId, entity }] -> { creates, updates, skipped }
+  async plan(records, { upsertTypes = [] } = {}) {
+    await this.init();
+    return planWrites(this.reader, this.account.address, records, { upsertTypes, indexFile: this.indexFile });
+  }
+
+  // Sends the creates/updates of a plan in one transaction and records them in the sync index
+  async apply(plan) {
+    if (plan.creates.length === 0 && plan.updates.length === 0) {
+      return null;
+    }
+
+    await this.init();
+    const mutation = await this.client.mutateEntities({
+      creates: plan.creates.map(record => record.entity),
+      updates: plan.updates.map(record => ({ entityKey: record.entityKey, ...record.entity }))
+    });
+
+    const created = (mutation.createdEntities || []).length;
+    if (created !== plan.creates.length) {
+      throw new Error(`Expected ${plan.creates.length} receipts, got ${created}`);
+    }
+
+    commitWrites(plan, mutation, { indexFile: this.indexFile });
+    return mutation;
+  }
+
+  async write(records, options) {
+    const plan = await this.plan(records, options);
+    await this.apply(plan);
+    return plan;
+  }
+
+  // Convenience for mapped Umami items (see umami-schema.js)
+  async writeItems(items, options) {
+    const syncTime = Math.floor(Date.now() / 1000);
+    return this.write(items.map(item => this.toRecord(item, syncTime)), options);
+  }
+
+  // Walks all entities owned by this account that match the predicates; onPage returning
+  // false stops early. orderBy: [{ name, type: 'string' | 'number', order: 'asc' | 'desc' }]
+  async forEachPage(predicates, onPage, { pageSize = 200, withPayload = true, withMetadata = false, orderBy = [] } = {}) {
+    await this.init();
+
+    const builder = this.reader
+      .buildQuery()
+      .ownedBy(this.account.address)
+      .withAttributes(true)
+      .withPayload(withPayload)
+      .withMetadata(withMetadata)
+      .limit(pageSize)
+      .where(predicates);
+
+    orderBy.forEach(({ name, type, order }) => builder.orderBy(name, type, order));
+
+    let queryResult = await builder.fetch();
+    if (await onPage(queryResult.entities) === false) {
+      return;
+    }
+
+    while (queryResult.hasNextPage()) {
+      await queryResult.next();
+      if (await onPage(queryResult.entities) === false) {
+        return;
+      }
+    }
+  }
+
+  // Extends the given entities by `days` in one transaction; cost is in wei.
+  // reencrypt: [{ entity, remainingSeconds }] queried with payloads whose key was retired -
+  // they are updated with the data key re-wrapped under the current key and the new expiry.
+  // Entities that cannot be re-wrapped are extended as they are and returned in notReencrypted.
+  async extend(entityKeys, days, { reencrypt = [] } = {}) {
+    await this.init();
+
+    const updates = [];
+    const notReencrypted = [];
+    reencrypt.forEach(({ entity, remainingSeconds }) => {
+      try {
+        updates.push({
+          entityKey: entity.key,
+          contentType: entity.contentType || 'application/json',
+          ...rewrapPayload(entity),
+          expiresIn: Math.max(0, Math.floor(remainingSeconds)) + calculateBTL(days)
+        });
+      } catch (error) {
+        notReencrypted.push({ key: entity.key, error: error.message });
+      }
+    });
+    const extended = [...entityKeys, ...notReencrypted.map(({ key }) => key)];
+
+    const result = await this.client.mutateEntities({
+      extensions: extended.map(entityKey => ({
+        entityKey,
+        expiresIn: calculateBTL(days)
+      })),
+      updates
+    });
+
+    const receipt = await this.reader.getTransactionReceipt({ hash: result.txHash });
+    commitExtensions([...extended, ...updates.map(({ entityKey }) => entityKey)], calculateBTL(days), { indexFile: this.indexFile });
+
+    return {
+      txHash: result.txHash,
+      notReencrypted,
+      gasUsed: receipt.gasUsed,
+      cost: receipt.gasUsed * receipt.effectiveGasPrice
+    };
+  }
+}
+
+module.exports = {
+  ArkivSink,
+  arkivConfigFromEnv,
+  buildChainConfig,
+  normalisePrivateKey,
+  calculateBTL,
+  toAttributes,
+  prepareItem
+};
@@ -0,0 +1,178 @@
+// Argument parsing and exit codes shared by the `umamidb` subcommands
+
+const EXIT_CODES = {
+  ok: 0,
+  error: 1, // the command failed
+  check: 2, // a check ran but did not pass (verify differences, outdated triggers)
+  notFound: 3,
+  usage: 64
+};
+
+// Flags that never take a value, so `--json pageview` keeps `pageview` as a positional
+const BOOLEAN_FLAGS = ['help', 'json', 'dry-run', 'force', 'fix', 'restart', 'all'];
+
+class UsageError extends Error {}
+
+// `--key value`, `--key=value`, bare `--flag` and `-h`; everything else is positional
+function parseArgs(args) {
+  const flags = {};
+  const positionals = [];
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg === '-h') {
+      flags.help = true;
+      continue;
+    }
+    if (!arg.startsWith('--')) {
+      positionals.push(arg);
+      continue;
+    }
+
+    const [key, inlineValue] = arg.slice(2).split(/=(.*)/s);
+    if (inlineValue !== undefined) {
+      flags[key] = inlineValue;
+    } else if (!BOOLEAN_FLAGS.includes(key) && args[i + 1] !== undefined && !args[i + 1].startsWith('--')) {
+      flags[key] = args[++i];
+    } else {
+      flags[key] = true;
+    }
+  }
+
+  return { flags, positionals };
+}
+
+function stringFlag(flags, name) {
+  if (flags[name] === true) {
+    throw new UsageError(`--${name} needs a value`);
+  }
+  return typeof flags[name] === 'string' ? flags[name] : null;
+}
+
+function numberFlag(flags, name, fallback) {
+  const value = stringFlag(flags, name);
+  if (value === null) {
+    return fallback;
+  }
+  const number = Number(value);
+  if (Number.isNaN(number) || number < 0) {
+    throw new UsageError(`Invalid --${name}: ${value} (expected a non-negative number)`);
+  }
+  return number;
+}
+
+// Counts such as batch sizes: a whole number of at least 1
+function positiveIntegerFlag(flags, name, fallback) {
+  const value = stringFlag(flags, name);
+  if (value === null) {
+    return fallback;
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new UsageError(`Invalid --${name}: ${value} (expected a positive integer)`);
+  }
+  return number;
+}
+
+// Comma separated list, checked against `allowed` when given
+function listFlag(flags, name, allowed = null) {
+  const value = stringFlag(flags, name);
+  if (value === null) {
+    return null;
+  }
+  const items = value.split(',').map(item => item.trim()).filter(Boolean);
+  const unknown = allowed ? items.filter(item => !allowed.includes(item)) : [];
+  if (unknown.length > 0) {
+    throw new UsageError(`Unknown --${name} value(s): ${unknown.join(', ')} (expected ${allowed.join(', ')})`);
+  }
+  return items;
+}
+
+function dateFlag(flags, name) {
+  const value = stringFlag(flags, name);
+  if (value === null) {
+    return null;
+  }
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new UsageError(`Invalid --${name} date: ${value}`);
+  }
+  return date.toISOString();
+}
+
+// `--where name=CopyPal,version=2` → attribute values (numeric attributes stay numbers)
+function whereFlag(flags, name) {
+  const value = stringFlag(flags, name);
+  const where = {};
+
+  if (value === null) {
+    return where;
+  }
+
+  value.split(',').filter(Boolean).forEach(pair => {
+    const [key, raw] = pair.split(/=(.*)/s);
+    if (!key || raw === undefined) {
+      throw new UsageError(`Invalid --${name} condition: ${pair} (expected key=value)`);
+    }
+    where[key.trim()] = /^\d+$/.test(raw) ? Number(raw) : raw;
+  });
+
+  return where;
+}
+
+const OPERATORS = ['>=', '<=', '!=', '=', '>', '<'];
+
+// `--where country=PL,sync_time>=1700000000` → [{ key, op, value }] (digits become numbers)
+function conditionsFlag(flags, name) {
+  const value = stringFlag(flags, name);
+
+  if (value === null) {
+    return [];
+  }
+
+  return value.split(',').filter(Boolean).map(text => {
+    const match = text.match(/^\s*([\w.-]+)\s*(>=|<=|!=|=|>|<)(.*)$/s);
+    if (!match || match[3] === '') {
+      throw new UsageError(`Invalid --${name} condition: ${text} (expected key<op>value, op one of ${OPERATORS.join(' ')})`);
+    }
+    const [, key, op, raw] = match;
+    return { key, op, value: /^\d+$/.test(raw) ? Number(raw) : raw };
+  });
+}
+
+// `--sort timestamp:desc` → { name, order }
+function sortFlag(flags, name) {
+  const value = stringFlag(flags, name);
+
+  if (value === null) {
+    return null;
+  }
+
+  const [field, order = 'asc'] = value.split(':');
+  if (!field || !['asc', 'desc'].includes(order)) {
+    throw new UsageError(`Invalid --${name}: ${value} (expected attribute[:asc|desc])`);
+  }
+  return { name: field, order };
+}
+
+// JSON for --json output; BigInts (gas, block numbers) become strings
+function printJson(value) {
+  console.log(JSON.stringify(value, (key, item) => (typeof item === 'bigint' ? item.toString() : item), 2));
+}
+
+module.exports = {
+  EXIT_CODES,
+  UsageError,
+  parseArgs,
+  stringFlag,
+  numberFlag,
+  positiveIntegerFlag,
+  listFlag,
+  dateFlag,
+  whereFlag,
+  conditionsFlag,
+  sortFlag,
+  printJson
+};
@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { jsonToPayload } = require('@arkiv-network/sdk/utils');
+
+// Optional envelope encryption of entity payloads (Arkiv data is readable by anyone).
+// Every payload gets its own AES-256-GCM data key, which is wrapped with the master key.
+//
+// Env:  ARKIV_ENCRYPTION_KEY=<32 bytes, base64 or hex>
+//       ARKIV_ENCRYPTION_KEY_ID=2024-06      (default: fingerprint of the key)
+// File: ARKIV_ENCRYPTION_KEYFILE=./keys.json (wins over the env key)
+//   { "current": "2024-06", "keys": { "2024-01": "<base64>", "2024-06": "<base64>" } }
+//
+// The key id is written as the `enc_key_id` attribute. To rotate, add a new key to the
+// keyfile and make it current: new writes use it, older keys stay for reading, and
+// `umamidb extend` re-wraps entities under retired keys when it extends them.
+const ALGORITHM = 'aes-256-gcm';
+const ENVELOPE_VERSION = 1;
+const KEY_ID_ATTRIBUTE = 'enc_key_id';
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+let keyring;
+
+function parseKey(value, label) {
+  const text = String(value).trim();
+  const key = /^[0-9a-f]{64}$/i.test(text) ? Buffer.from(text, 'hex') : Buffer.from(text, 'base64');
+  if (key.length !== 32) {
+    throw new Error(`Invalid encryption key ${label}: expected 32 bytes as base64 or hex (got ${key.length})`);
+  }
+  return key;
+}
+
+function fingerprint(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+}
+
+function readKeyfile(file) {
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read encryption keys from ${file}: ${error.message}`);
+  }
+
+  if (!parsed.keys || typeof parsed.keys !== 'object' || !parsed.keys[parsed.current]) {
+    throw new Error(`Invalid encryption keyfile ${file}: "current" must name one of "keys"`);
+  }
+
+  const keys = new Map(Object.entries(parsed.keys).map(([id, value]) => [id, parseKey(value, id)]));
+  return { currentId: parsed.current, keys, source: file };
+}
+
+// null when encryption is not configured
+function loadKeyring() {
+  if (keyring !== undefined) {
+    return keyring;
+  }
+
+  if (process.env.ARKIV_ENCRYPTION_KEYFILE) {
+    keyring = readKeyfile(process.env.ARKIV_ENCRYPTION_KEYFILE);
+  } else if (process.env.ARKIV_ENCRYPTION_KEY) {
+    const key = parseKey(process.env.ARKIV_ENCRYPTION_KEY, 'ARKIV_ENCRYPTION_KEY');
+    const id = process.env.ARKIV_ENCRYPTION_KEY_ID || fingerprint(key);
+    keyring = { currentId: id, keys: new Map([[id, key]]), source: 'env' };
+  } else {
+    keyring = null;
+  }
+
+  return keyring;
+}
+
+function getKey(id) {
+  const ring = loadKeyring();
+  const key = ring && ring.keys.get(id);
+  if (!key) {
+    throw new Error(`Unknown encryption key id: ${id} (add it to ARKIV_ENCRYPTION_KEYFILE to read this entity)`);
+  }
+  return key;
+}
+
+// iv | tag | ciphertext
+function seal(key, plaintext) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+}
+
+function unseal(key, sealed) {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, sealed.subarray(0, IV_BYTES));
+  decipher.setAuthTag(sealed.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+  return Buffer.concat([decipher.update(sealed.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]);
+}
+
+function isEnvelope(value) {
+  return Boolean(value && value.enc === ALGORITHM && value.kid && value.dek && value.data);
+}
+
+function encryptJson(data) {
+  const { currentId } = loadKeyring();
+  const dataKey = crypto.randomBytes(32);
+
+  return {
+    enc: ALGORITHM,
+    v: ENVELOPE_VERSION,
+    kid: currentId,
+    dek: seal(getKey(currentId), dataKey).toString('base64'),
+    data: seal(dataKey, Buffer.from(JSON.stringify(data))).toString('base64')
+  };
+}
+
+function decryptJson(envelope) {
+  try {
+    const dataKey = unseal(getKey(envelope.kid), Buffer.from(envelope.dek, 'base64'));
+    return JSON.parse(unseal(dataKey, Buffer.from(envelope.data, 'base64')).toString('utf8'));
+  } catch (error) {
+    throw new Error(`Failed to decrypt payload with key ${envelope.kid}: ${error.message}`);
+  }
+}
+
+// Payload and extra attributes for a create/update: plaintext JSON unless a key is configured
+function encodePayload(data) {
+  if (!loadKeyring()) {
+    return { payload: jsonToPayload(data), attributes: [] };
+  }
+
+  const envelope = encryptJson(data);
+  return { payload: jsonToPayload(envelope), attributes: [[KEY_ID_ATTRIBUTE, envelope.kid]] };
+}
+
+// Payload of a queried entity as JSON, decrypted when it is an envelope
+function decodePayload(entity) {
+  const value = entity.toJson();
+  return isEnvelope(value) ? decryptJson(value) : value;
+}
+
+function entityKeyId(entity) {
+  const attribute = entity.attributes.find(({ key }) => key === KEY_ID_ATTRIBUTE);
+  return attribute ? attribute.value : null;
+}
+
+// True once a newer key is current; only then can entities be under a retired key
+function canRotate() {
+  const ring = loadKeyring();
+  return Boolean(ring && ring.keys.size > 1);
+}
+
+// Under a retired key that is still in the keyring, so the data key can be re-wrapped
+function needsRotation(entity) {
+  const ring = loadKeyring();
+  const keyId = entityKeyId(entity);
+  return Boolean(ring && keyId && keyId !== ring.currentId && ring.keys.has(keyId));
+}
+
+// Key id of an entity encrypted under a key that is not in the keyring (cannot be re-wrapped), or null
+function missingKeyId(entity) {
+  const ring = loadKeyring();
+  const keyId = entityKeyId(entity);
+  return keyId && !(ring && ring.keys.has(keyId)) ? keyId : null;
+}
+
+// Re-wraps the data key of an entity under the current key; the payload ciphertext is kept.
+// Returns the payload and attributes for an update.
+function rewrapPayload(entity) {
+  const envelope = entity.toJson();
+  if (!isEnvelope(envelope)) {
+    throw new Error(`Entity ${entity.key} has no encrypted payload`);
+  }
+
+  const { currentId } = loadKeyring();
+  const dataKey = unseal(getKey(envelope.kid), Buffer.from(envelope.dek, 'base64'));
+  const rewrapped = { ...envelope, kid: currentId, dek: seal(getKey(currentId), dataKey).toString('base64') };
+
+  return {
+    payload: jsonToPayload(rewrapped),
+    attributes: entity.attributes.map(attribute => (
+      attribute.key === KEY_ID_ATTRIBUTE ? { key: KEY_ID_ATTRIBUTE, value: currentId } : attribute
+    ))
+  };
+}
+
+// Startup summary; never prints key material
+function describeEncryption() {
+  const ring = loadKeyring();
+  if (!ring) {
+    return 'Payload encryption: off (payloads are public plaintext JSON)';
+  }
+  const retired = Array.from(ring.keys.keys()).filter(id => id !== ring.currentId);
+  return `Payload encryption (${ring.source}): ${ALGORITHM}, key ${ring.currentId}${retired.length ? `, readable retired keys: ${retired.join(', ')}` : ''}`;
+}
+
+module.exports = {
+  KEY_ID_ATTRIBUTE,
+  encodePayload,
+  decodePayload,
+  canRotate,
+  needsRotation,
+  missingKeyId,
+  rewrapPayload,
+  describeEncryption,
+  loadKeyring
+};
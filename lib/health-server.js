@@ -0,0 +1,43 @@
+const http = require('http');
+const { CONTENT_TYPE, renderMetrics } = require('./metrics');
+const { createLogger } = require('./logger');
+
+const log = createLogger('health-server');
+
+// Embedded HTTP server: /healthz (JSON, 503 when a check fails) and /metrics (Prometheus)
+function startHealthServer({ port, host = '0.0.0.0', checkHealth }) {
+  const server = http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    try {
+      if (pathname === '/healthz') {
+        const health = await checkHealth();
+        res.writeHead(health.status === 'ok' ? 200 : 503, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(health, null, 2));
+      } else if (pathname === '/metrics') {
+        res.writeHead(200, { 'Content-Type': CONTENT_TYPE });
+        res.end(renderMetrics());
+      } else {
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end('Not found\n');
+      }
+    } catch (error) {
+      res.writeHead(500, { 'Content-Type': 'text/plain' });
+      res.end(`${error.message}\n`);
+    }
+  });
+
+  server.on('error', error => {
+    log.error('❌ Health server error', { error });
+  });
+
+  server.listen(port, host, () => {
+    log.info(`🩺 Health and metrics on http://${host}:${port}/healthz and /metrics`);
+  });
+
+  return server;
+}
+
+module.exports = {
+  startHealthServer
+};
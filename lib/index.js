@@ -0,0 +1,63 @@
+// Programmatic API for services that embed the sync or manage Umami sites:
+//   const { ArkivSink, UmamiApiClient, mapPageview } = require('umami-golem-sync');
+// The umamidb CLI (bin/umamidb.js) is built on the same modules.
+
+const { ArkivSink, buildChainConfig, normalisePrivateKey, calculateBTL, toAttributes, prepareItem } = require('./arkiv-sink');
+const { UmamiApiClient, findWebsiteByDomain } = require('./umami-api');
+const { ensureWebsite, setupProject, detectDomain } = require('./site-setup');
+const {
+  formatTimestamp,
+  detectSchemaVersion,
+  mapRow,
+  mapPageview,
+  mapCustomEvent,
+  mapWebsiteEvent,
+  mapSession
+} = require('./umami-schema');
+const { computeRollups, GRANULARITIES } = require('./umami-rollup');
+const { computeReport, renderReport } = require('./umami-report');
+const { getRetentionDays, describeRetentionPolicy } = require('./retention');
+const { scrubItem, describePrivacyPolicy } = require('./privacy');
+const { encodePayload, decodePayload } = require('./encryption');
+const { pseudonymizeItem } = require('./pseudonym');
+const { SyncRouter, describeRouting } = require('./routing');
+const { getTriggerStatus, installTriggers, uninstallTriggers } = require('./umami-triggers');
+const { createLogger } = require('./logger');
+
+module.exports = {
+  ArkivSink,
+  UmamiApiClient,
+  buildChainConfig,
+  normalisePrivateKey,
+  calculateBTL,
+  toAttributes,
+  prepareItem,
+  findWebsiteByDomain,
+  ensureWebsite,
+  setupProject,
+  detectDomain,
+  formatTimestamp,
+  detectSchemaVersion,
+  mapRow,
+  mapPageview,
+  mapCustomEvent,
+  mapWebsiteEvent,
+  mapSession,
+  computeRollups,
+  GRANULARITIES,
+  computeReport,
+  renderReport,
+  getRetentionDays,
+  describeRetentionPolicy,
+  scrubItem,
+  describePrivacyPolicy,
+  encodePayload,
+  decodePayload,
+  pseudonymizeItem,
+  SyncRouter,
+  describeRouting,
+  getTriggerStatus,
+  installTriggers,
+  uninstallTriggers,
+  createLogger
+};
@@ -0,0 +1,105 @@
+// Shared logger for the sync services and setup scripts.
+//   LOG_LEVEL=debug|info|warn|error   (default info)
+//   LOG_FORMAT=pretty|json            (default pretty)
+// JSON mode writes one object per line:
+//   {"time":"…","level":"info","component":"real-time-sync","msg":"Batch synced","batch_id":"…","entity_count":10}
+// Command output (usage text, reports, query results) is not logging and stays on console.log.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LEVEL = (process.env.LOG_LEVEL || 'info').toLowerCase();
+const FORMAT = (process.env.LOG_FORMAT || 'pretty').toLowerCase();
+
+if (!LEVELS[LEVEL]) {
+  throw new Error(`Invalid LOG_LEVEL: ${LEVEL} (expected ${Object.keys(LEVELS).join(', ')})`);
+}
+if (!['pretty', 'json'].includes(FORMAT)) {
+  throw new Error(`Invalid LOG_FORMAT: ${FORMAT} (expected pretty or json)`);
+}
+
+// Info/debug go to stdout unless a command needs stdout for its own output (--json)
+let infoStream = process.stdout;
+
+// Emoji prefixes are for humans only
+const LEADING_EMOJI = /^[\p{Extended_Pictographic}\u{FE0F}\u{200D}\s]+/u;
+
+function serializeError(error) {
+  if (!(error instanceof Error)) {
+    return error;
+  }
+  return {
+    message: error.message,
+    name: error.name,
+    ...(error.code ? { code: error.code } : {}),
+    stack: error.stack
+  };
+}
+
+function normaliseFields(fields) {
+  const result = {};
+  Object.entries(fields).forEach(([key, value]) => {
+    if (value === undefined) {
+      return;
+    }
+    result[key] = key === 'error' ? serializeError(value) : (typeof value === 'bigint' ? value.toString() : value);
+  });
+  return result;
+}
+
+function formatPretty(level, component, msg, fields) {
+  const { error, ...rest } = fields;
+  const context = Object.entries(rest)
+    .map(([key, value]) => `${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`)
+    .join(' ');
+  const prefix = level === 'debug' ? '[debug] ' : '';
+  let line = `${prefix}${msg}${context ? ` (${context})` : ''}`;
+
+  if (error) {
+    line += `: ${error.message || error}`;
+    if (error.stack && (level === 'error' || LEVEL === 'debug')) {
+      line += `\n${error.stack}`;
+    }
+  }
+  return line;
+}
+
+function write(level, component, baseFields, msg, fields = {}) {
+  if (LEVELS[level] < LEVELS[LEVEL]) {
+    return;
+  }
+
+  const merged = normaliseFields({ ...baseFields, ...fields });
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : infoStream;
+
+  if (FORMAT === 'json') {
+    stream.write(`${JSON.stringify({
+      time: new Date().toISOString(),
+      level,
+      component,
+      msg: msg.replace(LEADING_EMOJI, ''),
+      ...merged
+    })}\n`);
+  } else {
+    stream.write(`${formatPretty(level, component, msg, merged)}\n`);
+  }
+}
+
+// createLogger('golem-sync').info('Synced page', { entity_count: 100 });
+// child() binds fields (e.g. batch_id) to every later line
+function createLogger(component, baseFields = {}) {
+  return {
+    debug: (msg, fields) => write('debug', component, baseFields, msg, fields),
+    info: (msg, fields) => write('info', component, baseFields, msg, fields),
+    warn: (msg, fields) => write('warn', component, baseFields, msg, fields),
+    error: (msg, fields) => write('error', component, baseFields, msg, fields),
+    child: fields => createLogger(component, { ...baseFields, ...fields })
+  };
+}
+
+function logToStderr() {
+  infoStream = process.stderr;
+}
+
+module.exports = {
+  createLogger,
+  logToStderr
+};
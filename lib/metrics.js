@@ -0,0 +1,132 @@
+// Minimal Prometheus registry (text exposition format 0.0.4) for the sync services
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const registry = [];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function labelKey(labels) {
+  return Object.keys(labels)
+    .sort()
+    .map(key => `${key}="${escapeLabel(labels[key])}"`)
+    .join(',');
+}
+
+function sample(name, key, value) {
+  return `${name}${key ? `{${key}}` : ''} ${value}`;
+}
+
+function register(metric) {
+  if (registry.some(existing => existing.name === metric.name)) {
+    throw new Error(`Metric ${metric.name} is already registered`);
+  }
+  registry.push(metric);
+  return metric;
+}
+
+function counter(name, help) {
+  const values = new Map();
+
+  return register({
+    name,
+    help,
+    type: 'counter',
+    inc(value = 1, labels = {}) {
+      const key = labelKey(labels);
+      values.set(key, (values.get(key) || 0) + value);
+    },
+    samples() {
+      return values.size === 0
+        ? [sample(name, '', 0)]
+        : Array.from(values.entries()).map(([key, value]) => sample(name, key, value));
+    }
+  });
+}
+
+// `collect` (optional) is called on every scrape and returns the current value
+function gauge(name, help, collect = null) {
+  const values = new Map();
+
+  return register({
+    name,
+    help,
+    type: 'gauge',
+    set(value, labels = {}) {
+      values.set(labelKey(labels), value);
+    },
+    samples() {
+      if (collect) {
+        values.set('', collect());
+      }
+      return Array.from(values.entries()).map(([key, value]) => sample(name, key, value));
+    }
+  });
+}
+
+function histogram(name, help, buckets = DEFAULT_BUCKETS) {
+  const series = new Map();
+
+  return register({
+    name,
+    help,
+    type: 'histogram',
+    observe(value, labels = {}) {
+      const key = labelKey(labels);
+      if (!series.has(key)) {
+        series.set(key, { labels, counts: buckets.map(() => 0), sum: 0, count: 0 });
+      }
+      const entry = series.get(key);
+      buckets.forEach((bucket, i) => {
+        if (value <= bucket) {
+          entry.counts[i]++;
+        }
+      });
+      entry.sum += value;
+      entry.count++;
+    },
+    samples() {
+      const lines = [];
+      series.forEach(({ labels, counts, sum, count }, key) => {
+        buckets.forEach((bucket, i) => {
+          lines.push(sample(`${name}_bucket`, labelKey({ ...labels, le: bucket }), counts[i]));
+        });
+        lines.push(sample(`${name}_bucket`, labelKey({ ...labels, le: '+Inf' }), count));
+        lines.push(sample(`${name}_sum`, key, sum));
+        lines.push(sample(`${name}_count`, key, count));
+      });
+      return lines;
+    }
+  });
+}
+
+// Time an async call into a histogram (seconds), also when it throws
+async function timed(metric, labels, fn) {
+  const startedAt = process.hrtime.bigint();
+  try {
+    return await fn();
+  } finally {
+    metric.observe(Number(process.hrtime.bigint() - startedAt) / 1e9, labels);
+  }
+}
+
+function renderMetrics() {
+  return registry
+    .map(metric => [
+      `# HELP ${metric.name} ${metric.help}`,
+      `# TYPE ${metric.name} ${metric.type}`,
+      ...metric.samples()
+    ].join('\n'))
+    .join('\n') + '\n';
+}
+
+module.exports = {
+  CONTENT_TYPE,
+  counter,
+  gauge,
+  histogram,
+  timed,
+  renderMetrics
+};
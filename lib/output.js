@@ -0,0 +1,72 @@
+// Tabular output for CLI commands: rows are plain objects, columns pick and order their keys
+
+const MAX_CELL_WIDTH = 48;
+
+function cellText(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return String(value);
+}
+
+// Keys in order of first appearance across the rows
+function collectColumns(rows) {
+  const columns = new Set();
+  rows.forEach(row => Object.keys(row).forEach(key => columns.add(key)));
+  return Array.from(columns);
+}
+
+// Aligned columns for the terminal; long cells are cut to MAX_CELL_WIDTH
+function renderTable(rows, columns = collectColumns(rows)) {
+  const cells = rows.map(row => columns.map(column => {
+    const text = cellText(row[column]).replace(/\s+/g, ' ');
+    return text.length > MAX_CELL_WIDTH ? `${text.slice(0, MAX_CELL_WIDTH - 1)}…` : text;
+  }));
+  const widths = columns.map((column, index) => Math.max(column.length, ...cells.map(line => line[index].length)));
+  const formatLine = values => values.map((value, index) => value.padEnd(widths[index])).join('  ').trimEnd();
+
+  return [
+    formatLine(columns),
+    formatLine(widths.map(width => '-'.repeat(width))),
+    ...cells.map(formatLine)
+  ].join('\n');
+}
+
+// GitHub-flavoured Markdown table; pipes in cells are escaped
+function renderMarkdownTable(rows, columns = collectColumns(rows)) {
+  const formatLine = values => `| ${values.join(' | ')} |`;
+  return [
+    formatLine(columns),
+    formatLine(columns.map(() => '---')),
+    ...rows.map(row => formatLine(columns.map(column => cellText(row[column]).replace(/\s+/g, ' ').replace(/\|/g, '\\|'))))
+  ].join('\n');
+}
+
+// RFC 4180: fields with commas, quotes or newlines are quoted
+function csvField(value) {
+  const text = cellText(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function renderCsv(rows, columns = collectColumns(rows)) {
+  return [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(values => values.map(csvField).join(','))
+    .join('\n');
+}
+
+function renderJsonLines(rows) {
+  return rows
+    .map(row => JSON.stringify(row, (key, item) => (typeof item === 'bigint' ? item.toString() : item)))
+    .join('\n');
+}
+
+module.exports = {
+  collectColumns,
+  renderTable,
+  renderMarkdownTable,
+  renderCsv,
+  renderJsonLines
+};
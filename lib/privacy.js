@@ -0,0 +1,310 @@
+const fs = require('fs');
+
+// Privacy scrubbing applied to every Umami item before it is written to Arkiv.
+// Arkiv data is public and effectively immutable, so redaction has to happen here.
+//
+// Env:  PRIVACY_QUERY_PARAMS=allowlist          strip | allowlist | keep (default allowlist)
+//       PRIVACY_QUERY_ALLOWLIST=utm_source,ref  kept parameters (default utm_* and ref)
+//       PRIVACY_PII=email,uuid,phone            detectors, `none` to disable (default all)
+//       PRIVACY_GEO=country                     country | full (default country)
+//       PRIVACY_DROP=session.screen,pageview.page_title
+// File: PRIVACY_FILE=./privacy.json
+//   {
+//     "query_params": "allowlist",
+//     "query_allowlist": ["utm_source", "utm_campaign"],
+//     "pii": ["email", "phone"],
+//     "geo": "country",
+//     "drop": { "session": ["screen", "language"], "pageview": ["page_title"] }
+//   }
+//
+// File values override env values. PII matches are replaced by `[email]`, `[uuid]`,
+// `[phone]`; dropped and coarsened fields are written as null. Umami ids are never scanned.
+const QUERY_MODES = ['strip', 'allowlist', 'keep'];
+const GEO_MODES = ['country', 'full'];
+const DEFAULT_QUERY_ALLOWLIST = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content', 'ref'];
+
+// Email before phone, so digits in addresses are not reported twice.
+// Phone needs a leading + or a separator between digit groups (+48 600…, (555) 123-4567),
+// so plain numbers (ids, amounts, unix timestamps) stay intact; unformatted numbers
+// are missed, and dotted numbers with 9+ digits (IPv4 addresses) are redacted.
+const PII_PATTERNS = {
+  email: /[A-Z0-9._%+-]+@[A-Z0-9-]+(?:\.[A-Z0-9-]+)*\.[A-Z]{2,}/gi,
+  uuid: /\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi,
+  phone: /(?<![\w-])(?=\+|\(?\d+[\s().-]{1,2}\d)[+(]?\d(?:[\s().-]{0,2}\d){8,14}(?![\w-]|:\d)/g
+};
+
+// Payload keys holding a raw query string
+const QUERY_FIELDS = ['url_query', 'referrer_query'];
+// Ids and timestamps the restore and dedup layers rely on
+const UNSCANNED_FIELDS = ['id', 'event_id', 'website_id', 'session_id', 'created_at', 'updated_at'];
+// Rollup top-N dimensions with free-form keys, and how their keys are scrubbed
+const ROLLUP_FIELDS = {
+  top_paths: scrubPath,
+  top_referrers: (value, { pii }) => scrubText(value, pii).text,
+  event_counts: (value, { pii }) => scrubText(value, pii).text
+};
+// Below country level
+const GEO_FIELDS = ['region', 'subdivision1', 'subdivision2', 'city'];
+
+let policy;
+
+function readPolicyFile(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read privacy policy from ${file}: ${error.message}`);
+  }
+}
+
+function envList(value, fallback) {
+  if (value === undefined) {
+    return fallback;
+  }
+  return value.split(',').map(item => item.trim()).filter(item => item && item !== 'none');
+}
+
+// `session.screen,pageview.page_title` → { session: ['screen'], pageview: ['page_title'] }
+function envDropRules(value) {
+  const drop = {};
+  envList(value, []).forEach(rule => {
+    const [type, field] = rule.split('.');
+    drop[type] = [...(drop[type] || []), field];
+  });
+  return drop;
+}
+
+function validatePolicy(candidate) {
+  const errors = [];
+
+  if (!QUERY_MODES.includes(candidate.queryParams)) {
+    errors.push(`query_params must be one of ${QUERY_MODES.join(', ')} (got ${JSON.stringify(candidate.queryParams)})`);
+  }
+  if (!Array.isArray(candidate.queryAllowlist)) {
+    errors.push('query_allowlist must be a list of parameter names');
+  }
+  if (!Array.isArray(candidate.pii)) {
+    errors.push('pii must be a list of detectors');
+  } else {
+    candidate.pii.filter(name => !PII_PATTERNS[name]).forEach(name => (
+      errors.push(`unknown pii detector ${JSON.stringify(name)} (expected ${Object.keys(PII_PATTERNS).join(', ')})`)
+    ));
+  }
+  if (!GEO_MODES.includes(candidate.geo)) {
+    errors.push(`geo must be one of ${GEO_MODES.join(', ')} (got ${JSON.stringify(candidate.geo)})`);
+  }
+  Object.entries(candidate.drop).forEach(([type, fields]) => {
+    if (!Array.isArray(fields) || fields.some(field => typeof field !== 'string' || !field)) {
+      errors.push(`drop.${type} must be a list of field names`);
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid privacy policy:\n  - ${errors.join('\n  - ')}`);
+  }
+}
+
+function loadPolicy() {
+  if (policy) {
+    return policy;
+  }
+
+  const file = process.env.PRIVACY_FILE ? readPolicyFile(process.env.PRIVACY_FILE) : {};
+
+  const candidate = {
+    queryParams: file.query_params || process.env.PRIVACY_QUERY_PARAMS || 'allowlist',
+    queryAllowlist: file.query_allowlist || envList(process.env.PRIVACY_QUERY_ALLOWLIST, DEFAULT_QUERY_ALLOWLIST),
+    pii: file.pii || envList(process.env.PRIVACY_PII, Object.keys(PII_PATTERNS)),
+    geo: file.geo || process.env.PRIVACY_GEO || 'country',
+    drop: file.drop || envDropRules(process.env.PRIVACY_DROP),
+    source: process.env.PRIVACY_FILE || 'env'
+  };
+
+  validatePolicy(candidate);
+  policy = candidate;
+  return policy;
+}
+
+// Replace PII matches in a string; rules lists the detectors that fired
+function scrubText(text, detectors) {
+  const rules = [];
+  let result = text;
+
+  detectors.forEach(name => {
+    const replaced = result.replace(PII_PATTERNS[name], `[${name}]`);
+    if (replaced !== result) {
+      rules.push(name);
+      result = replaced;
+    }
+  });
+
+  return { text: result, rules };
+}
+
+// Strings anywhere in a value (event properties nest); returns [value, rules]
+function scrubValue(value, detectors) {
+  if (typeof value === 'string') {
+    const { text, rules } = scrubText(value, detectors);
+    return [text, rules];
+  }
+  if (Array.isArray(value)) {
+    const rules = [];
+    const scrubbed = value.map(entry => {
+      const [result, entryRules] = scrubValue(entry, detectors);
+      rules.push(...entryRules);
+      return result;
+    });
+    return [scrubbed, rules];
+  }
+  if (value && typeof value === 'object') {
+    const rules = [];
+    const scrubbed = {};
+    Object.entries(value).forEach(([key, entry]) => {
+      const [result, entryRules] = scrubValue(entry, detectors);
+      rules.push(...entryRules);
+      scrubbed[key] = result;
+    });
+    return [scrubbed, rules];
+  }
+  return [value, []];
+}
+
+// Drops parameters outside the allowlist and scrubs the values of the rest
+function scrubQuery(query, { queryParams, queryAllowlist, pii }) {
+  if (queryParams === 'strip') {
+    return { query: null, rules: ['query_params'] };
+  }
+
+  const params = new URLSearchParams(query);
+  const kept = new URLSearchParams();
+  const rules = [];
+
+  params.forEach((value, key) => {
+    if (queryParams === 'allowlist' && !queryAllowlist.includes(key)) {
+      rules.push('query_params');
+      return;
+    }
+    const { text, rules: valueRules } = scrubText(value, pii);
+    rules.push(...valueRules);
+    kept.append(key, text);
+  });
+
+  if (rules.length === 0) {
+    return { query, rules };
+  }
+  const serialized = kept.toString();
+  return { query: serialized || null, rules: Array.from(new Set(rules)) };
+}
+
+// Scrub a mapped Umami item ({ type, data, metadata, ... }); returns the scrubbed copy and
+// one { field, rule, before, after } per changed field. Safe to apply more than once.
+function scrubItem(item, currentPolicy = loadPolicy()) {
+  const data = { ...(item.data || {}) };
+  const metadata = { ...(item.metadata || {}) };
+  const redactions = [];
+  const record = (field, rules, before, after) => {
+    rules.forEach(rule => redactions.push({ field, rule, before, after }));
+  };
+
+  const dropped = currentPolicy.drop[item.type] || [];
+  dropped.forEach(field => {
+    if (data[field] !== undefined && data[field] !== null) {
+      record(`data.${field}`, ['drop'], data[field], null);
+      data[field] = null;
+    }
+    if (metadata[field] !== undefined) {
+      record(`metadata.${field}`, ['drop'], metadata[field], undefined);
+      delete metadata[field];
+    }
+  });
+
+  if (currentPolicy.geo === 'country') {
+    GEO_FIELDS.forEach(field => {
+      if (data[field] !== undefined && data[field] !== null) {
+        record(`data.${field}`, ['geo'], data[field], null);
+        data[field] = null;
+      }
+    });
+  }
+
+  Object.keys(data).forEach(field => {
+    const value = data[field];
+    if (value === null || value === undefined || UNSCANNED_FIELDS.includes(field)) {
+      return;
+    }
+    if (QUERY_FIELDS.includes(field) && typeof value === 'string') {
+      const { query, rules } = scrubQuery(value, currentPolicy);
+      record(`data.${field}`, rules, value, query);
+      data[field] = query;
+      return;
+    }
+    const [scrubbed, rules] = scrubValue(value, currentPolicy.pii);
+    record(`data.${field}`, Array.from(new Set(rules)), value, scrubbed);
+    data[field] = scrubbed;
+  });
+
+  Object.keys(metadata).forEach(field => {
+    const value = metadata[field];
+    if (typeof value !== 'string') {
+      return;
+    }
+    const { text, rules } = scrubText(value, currentPolicy.pii);
+    record(`metadata.${field}`, rules, value, text);
+    metadata[field] = text;
+  });
+
+  return { item: { ...item, data, metadata }, redactions };
+}
+
+// `/path?query` with the query scrubbed like url_query and PII in the path replaced
+function scrubPath(value, currentPolicy) {
+  const separator = value.indexOf('?');
+  const path = scrubText(separator === -1 ? value : value.slice(0, separator), currentPolicy.pii).text;
+  if (separator === -1) {
+    return path;
+  }
+  const { query } = scrubQuery(value.slice(separator + 1), currentPolicy);
+  return query ? `${path}?${query}` : path;
+}
+
+// Scrub the top-N keys of a rollup; keys that become equal are merged and re-sorted.
+// Returns the scrubbed copy. Safe to apply more than once.
+function scrubRollup(rollup, currentPolicy = loadPolicy()) {
+  const scrubbed = { ...rollup };
+
+  Object.entries(ROLLUP_FIELDS).forEach(([dimension, scrubKey]) => {
+    if (!Array.isArray(rollup[dimension])) {
+      return;
+    }
+    const counts = new Map();
+    rollup[dimension].forEach(({ value, count }) => {
+      const key = typeof value === 'string' ? scrubKey(value, currentPolicy) : value;
+      counts.set(key, (counts.get(key) || 0) + count);
+    });
+    scrubbed[dimension] = Array.from(counts, ([value, count]) => ({ value, count }))
+      .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)));
+  });
+
+  return scrubbed;
+}
+
+// Human-readable summary of the effective policy, logged on startup
+function describePrivacyPolicy() {
+  const { queryParams, queryAllowlist, pii, geo, drop, source } = loadPolicy();
+  const query = queryParams === 'allowlist' ? `allowlist (${queryAllowlist.join(', ') || 'none'})` : queryParams;
+  const lines = [`Privacy policy (${source}): query params ${query}, pii ${pii.join(', ') || 'off'}, geo ${geo}`];
+
+  Object.entries(drop).forEach(([type, fields]) => {
+    lines.push(`  drop: ${type} ${fields.join(', ')}`);
+  });
+
+  return lines;
+}
+
+module.exports = {
+  PII_PATTERNS,
+  scrubText,
+  scrubItem,
+  scrubRollup,
+  describePrivacyPolicy,
+  loadPrivacyPolicy: loadPolicy
+};
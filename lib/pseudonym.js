@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Pseudonymous session/event ids: Umami ids are replaced by an HMAC before writing, so
+// on-chain records stay joinable with our tooling (pageview.session_id = session umami_id)
+// but cannot be linked to Umami or across websites by anyone without the secret.
+//
+// Env:  ARKIV_PSEUDONYM_SECRET=<secret>         per-website keys are derived from it
+//       ARKIV_PSEUDONYM_VERSION=2024-06         label of the secret (default v1)
+// File: ARKIV_PSEUDONYM_FILE=./pseudonyms.json  (wins over the env values)
+//   {
+//     "default": { "version": "2024-06", "secret": "…" },
+//     "websites": { "<website_id>": { "version": "2024-09", "secret": "…" } }
+//   }
+//
+// The version is written as the `pseudonym_version` attribute. Rotating a secret only
+// affects new writes: earlier records keep their pseudonyms and are not joinable with
+// the new ones, and re-syncing them (verify --fix, backfill) writes them again.
+const VERSION_ATTRIBUTE = 'pseudonym_version';
+const DEFAULT_VERSION = 'v1';
+
+// Id kinds; a session id has the same pseudonym wherever it appears
+const ID_FIELDS = { session_id: 'session', event_id: 'event' };
+const UMAMI_ID_KINDS = { session: 'session', pageview: 'event', event: 'event' };
+
+let config;
+const websiteKeys = new Map();
+
+function readConfigFile(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read pseudonym secrets from ${file}: ${error.message}`);
+  }
+}
+
+function validateSecret(entry, label, errors) {
+  if (!entry || typeof entry.secret !== 'string' || entry.secret.length < 16) {
+    errors.push(`${label}.secret must be a string of at least 16 characters`);
+  }
+  if (entry && entry.version !== undefined && (typeof entry.version !== 'string' || !entry.version)) {
+    errors.push(`${label}.version must be a non-empty string`);
+  }
+}
+
+// null when pseudonymisation is not configured
+function loadConfig() {
+  if (config !== undefined) {
+    return config;
+  }
+
+  let candidate = null;
+  if (process.env.ARKIV_PSEUDONYM_FILE) {
+    const file = readConfigFile(process.env.ARKIV_PSEUDONYM_FILE);
+    candidate = { default: file.default || null, websites: file.websites || {}, source: process.env.ARKIV_PSEUDONYM_FILE };
+  } else if (process.env.ARKIV_PSEUDONYM_SECRET) {
+    candidate = {
+      default: { secret: process.env.ARKIV_PSEUDONYM_SECRET, version: process.env.ARKIV_PSEUDONYM_VERSION },
+      websites: {},
+      source: 'env'
+    };
+  }
+
+  if (candidate) {
+    const errors = [];
+    if (candidate.default) {
+      validateSecret(candidate.default, 'default', errors);
+    }
+    Object.entries(candidate.websites).forEach(([websiteId, entry]) => validateSecret(entry, `websites.${websiteId}`, errors));
+    if (errors.length > 0) {
+      throw new Error(`Invalid pseudonym secrets:\n  - ${errors.join('\n  - ')}`);
+    }
+  }
+
+  config = candidate;
+  return config;
+}
+
+// { key, version } for a website, or null when it has no secret
+function websiteKey(websiteId) {
+  const current = loadConfig();
+  const id = String(websiteId);
+  if (!current) {
+    return null;
+  }
+  if (websiteKeys.has(id)) {
+    return websiteKeys.get(id);
+  }
+
+  const entry = current.websites[id] || current.default;
+  const key = entry
+    ? {
+      key: crypto.createHmac('sha256', entry.secret).update(`website:${id}`).digest(),
+      version: entry.version || DEFAULT_VERSION
+    }
+    : null;
+
+  websiteKeys.set(id, key);
+  return key;
+}
+
+// HMAC of the id formatted as a UUID (version 8), so restored rows still fit Umami's uuid columns
+function pseudonym(key, kind, id) {
+  const hex = crypto.createHmac('sha256', key).update(`${kind}:${id}`).digest('hex');
+  const variant = ((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16);
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-8${hex.slice(13, 16)}-${variant}${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+}
+
+// Copy of a mapped Umami item with session/event ids pseudonymised; pseudonym_version is
+// added to its metadata. Items of websites without a secret are returned unchanged.
+function pseudonymizeItem(item) {
+  const website = websiteKey(item.website_id);
+  if (!website) {
+    return item;
+  }
+
+  const data = { ...(item.data || {}) };
+  Object.entries(ID_FIELDS).forEach(([field, kind]) => {
+    if (data[field] !== undefined && data[field] !== null) {
+      data[field] = pseudonym(website.key, kind, data[field]);
+    }
+  });
+
+  const kind = UMAMI_ID_KINDS[item.type];
+  return {
+    ...item,
+    umami_id: kind && item.umami_id !== undefined && item.umami_id !== null
+      ? pseudonym(website.key, kind, item.umami_id)
+      : item.umami_id,
+    data,
+    metadata: { ...(item.metadata || {}), [VERSION_ATTRIBUTE]: website.version }
+  };
+}
+
+function describePseudonyms() {
+  const current = loadConfig();
+  if (!current) {
+    return 'Pseudonymous ids: off (Umami session and event ids are written as-is)';
+  }
+  const websites = Object.keys(current.websites);
+  return `Pseudonymous ids (${current.source}): ${current.default ? `default ${current.default.version || DEFAULT_VERSION}` : 'no default'}` +
+    `${websites.length ? `, ${websites.length} website secret(s)` : ''}`;
+}
+
+module.exports = {
+  VERSION_ATTRIBUTE,
+  pseudonymizeItem,
+  describePseudonyms,
+  loadPseudonymConfig: loadConfig
+};
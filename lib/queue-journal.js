@@ -0,0 +1,136 @@
+const fs = require('fs');
+const path = require('path');
+
+// Append-only journal backing the real-time SyncQueue. Every queued item is
+// written before it is batched and acknowledged only after Arkiv confirmed it,
+// so a crash or restart replays whatever was still in flight.
+const JOURNAL_FILE = process.env.SYNC_QUEUE_FILE || path.join(__dirname, '..', 'data', 'queue.journal');
+const DEAD_LETTER_FILE = process.env.SYNC_DEAD_LETTER_FILE || path.join(__dirname, '..', 'data', 'dead-letter.jsonl');
+
+function readLines(file) {
+  try {
+    return fs.readFileSync(file, 'utf8').split('\n').filter(Boolean);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+}
+
+function parseLines(lines) {
+  const records = [];
+  lines.forEach(line => {
+    try {
+      records.push(JSON.parse(line));
+    } catch (error) {
+      // Torn last line after a crash - the item was never acknowledged either way
+    }
+  });
+  return records;
+}
+
+function appendLines(file, records) {
+  if (records.length === 0) {
+    return;
+  }
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.appendFileSync(file, records.map(record => `${JSON.stringify(record)}\n`).join(''));
+}
+
+class QueueJournal {
+  constructor({ journalFile = JOURNAL_FILE, deadLetterFile = DEAD_LETTER_FILE } = {}) {
+    this.journalFile = journalFile;
+    this.deadLetterFile = deadLetterFile;
+    this.pending = new Map();
+  }
+
+  // Returns unacknowledged items in their original order and compacts the journal
+  replay() {
+    this.pending = new Map();
+
+    parseLines(readLines(this.journalFile)).forEach(record => {
+      if (record.op === 'add') {
+        this.pending.set(record.id, record.item);
+      } else if (record.op === 'ack') {
+        record.ids.forEach(id => this.pending.delete(id));
+      }
+    });
+
+    this.compact();
+
+    return Array.from(this.pending.values());
+  }
+
+  append(items) {
+    appendLines(this.journalFile, items.map(item => ({ op: 'add', id: item.queue_id, item })));
+    items.forEach(item => this.pending.set(item.queue_id, item));
+  }
+
+  ack(items) {
+    const ids = items.map(item => item.queue_id);
+    appendLines(this.journalFile, [{ op: 'ack', ids }]);
+    ids.forEach(id => this.pending.delete(id));
+
+    // Nothing in flight - start a fresh journal instead of growing forever
+    if (this.pending.size === 0) {
+      this.compact();
+    }
+  }
+
+  compact() {
+    fs.mkdirSync(path.dirname(this.journalFile), { recursive: true });
+    const tmpFile = `${this.journalFile}.tmp`;
+    const records = Array.from(this.pending.entries()).map(([id, item]) => ({ op: 'add', id, item }));
+    fs.writeFileSync(tmpFile, records.map(record => `${JSON.stringify(record)}\n`).join(''));
+    fs.renameSync(tmpFile, this.journalFile);
+  }
+
+  // Park items that exhausted their retries; they leave the journal but not the disk
+  deadLetter(items, error) {
+    this.writeDeadLetters(items, error);
+    this.ack(items);
+  }
+
+  writeDeadLetters(items, error) {
+    const failedAt = new Date().toISOString();
+    appendLines(this.deadLetterFile, items.map(item => ({
+      item,
+      error: error ? error.message : null,
+      failed_at: failedAt
+    })));
+  }
+
+  countDeadLetters() {
+    return readLines(this.deadLetterFile).length;
+  }
+
+  // Atomically take over the dead-letter file so new failures keep landing in a fresh one
+  takeDeadLetters() {
+    const claimedFile = `${this.deadLetterFile}.redrive`;
+
+    if (fs.existsSync(this.deadLetterFile)) {
+      if (fs.existsSync(claimedFile)) {
+        // A previous redrive was interrupted - merge instead of overwriting it
+        const movedFile = `${claimedFile}.${Date.now()}`;
+        fs.renameSync(this.deadLetterFile, movedFile);
+        fs.appendFileSync(claimedFile, fs.readFileSync(movedFile));
+        fs.rmSync(movedFile);
+      } else {
+        fs.renameSync(this.deadLetterFile, claimedFile);
+      }
+    }
+
+    const records = parseLines(readLines(claimedFile));
+    return {
+      items: records.map(record => record.item),
+      release: () => fs.rmSync(claimedFile, { force: true })
+    };
+  }
+}
+
+module.exports = {
+  QueueJournal,
+  JOURNAL_FILE,
+  DEAD_LETTER_FILE
+};
@@ -0,0 +1,199 @@
+const fs = require('fs');
+
+// Retention policy for Arkiv entities (expiresIn), per data type and per website.
+//
+// Env:  ARKIV_RETENTION_DAYS=30              default for everything
+//       ARKIV_RETENTION_PAGEVIEW=7           per type (ARKIV_RETENTION_<TYPE>)
+// File: ARKIV_RETENTION_FILE=./retention.json
+//   {
+//     "default": 30,
+//     "types": { "pageview": 30, "website_metadata": 90 },
+//     "websites": { "<website_id>": { "default": 365, "types": { "session": 90 } } }
+//   }
+//
+// Most specific wins: website + type > website default > type > default.
+// File values override env values at the same level. Sinks with their own retention
+// (ARKIV_ROUTING_FILE, see routing.js) check their `types` and `default` before all of these.
+//
+// Extension rules for the `extend` job keep selected entities alive past their BTL:
+// Env:  ARKIV_EXTEND_TYPES=website_metadata,rollup_daily  ARKIV_EXTEND_WITHIN_DAYS=3
+// File: "extend": [{ "type": "website_metadata", "website_id": "<id>",
+//                    "where": { "name": "CopyPal" }, "within_days": 3, "extend_by_days": 90 }]
+// extend_by_days defaults to the retention policy of the type/website.
+const DEFAULT_RETENTION_DAYS = 30;
+const DEFAULT_EXTEND_WITHIN_DAYS = 3;
+const KNOWN_TYPES = ['pageview', 'event', 'session', 'website_metadata', 'rollup_hourly', 'rollup_daily'];
+
+let policy;
+
+function readPolicyFile(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read retention policy from ${file}: ${error.message}`);
+  }
+}
+
+function envTypeDays() {
+  const types = {};
+  const prefix = 'ARKIV_RETENTION_';
+
+  Object.entries(process.env).forEach(([key, value]) => {
+    if (!key.startsWith(prefix) || key === 'ARKIV_RETENTION_DAYS' || key === 'ARKIV_RETENTION_FILE') {
+      return;
+    }
+    types[key.slice(prefix.length).toLowerCase()] = Number(value);
+  });
+
+  return types;
+}
+
+function validateDays(value, label, errors) {
+  if (value === undefined) {
+    return;
+  }
+  if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+    errors.push(`${label} must be a positive number of days (got ${JSON.stringify(value)})`);
+  }
+}
+
+// { default, types } overrides of a sink
+function validateRetentionOverrides(overrides, label, errors) {
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    errors.push(`${label} must be an object with "default" and/or "types"`);
+    return;
+  }
+  validateDays(overrides.default, `${label}.default`, errors);
+  Object.entries(overrides.types || {}).forEach(([type, days]) => validateDays(days, `${label}.types.${type}`, errors));
+}
+
+function validatePolicy(candidate) {
+  const errors = [];
+
+  validateDays(candidate.default, 'default', errors);
+  Object.entries(candidate.types).forEach(([type, days]) => validateDays(days, `types.${type}`, errors));
+  Object.entries(candidate.websites).forEach(([websiteId, website]) => {
+    validateDays(website.default, `websites.${websiteId}.default`, errors);
+    Object.entries(website.types || {}).forEach(([type, days]) => (
+      validateDays(days, `websites.${websiteId}.types.${type}`, errors)
+    ));
+  });
+
+  candidate.extend.forEach((rule, i) => {
+    if (!rule || typeof rule.type !== 'string' || !rule.type) {
+      errors.push(`extend[${i}].type is required`);
+      return;
+    }
+    validateDays(rule.within_days, `extend[${i}].within_days`, errors);
+    validateDays(rule.extend_by_days, `extend[${i}].extend_by_days`, errors);
+    if (rule.where !== undefined && (typeof rule.where !== 'object' || Array.isArray(rule.where))) {
+      errors.push(`extend[${i}].where must be an object of attribute values`);
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid retention policy:\n  - ${errors.join('\n  - ')}`);
+  }
+}
+
+function envExtensionRules() {
+  const withinDays = Number(process.env.ARKIV_EXTEND_WITHIN_DAYS || DEFAULT_EXTEND_WITHIN_DAYS);
+
+  return (process.env.ARKIV_EXTEND_TYPES || '')
+    .split(',')
+    .map(type => type.trim())
+    .filter(Boolean)
+    .map(type => ({ type, within_days: withinDays }));
+}
+
+function loadPolicy() {
+  if (policy) {
+    return policy;
+  }
+
+  const file = process.env.ARKIV_RETENTION_FILE ? readPolicyFile(process.env.ARKIV_RETENTION_FILE) : {};
+  const envDefault = process.env.ARKIV_RETENTION_DAYS !== undefined ? Number(process.env.ARKIV_RETENTION_DAYS) : undefined;
+
+  const candidate = {
+    default: file.default !== undefined ? file.default : (envDefault !== undefined ? envDefault : DEFAULT_RETENTION_DAYS),
+    types: { ...envTypeDays(), ...(file.types || {}) },
+    websites: file.websites || {},
+    extend: Array.isArray(file.extend) ? file.extend : envExtensionRules(),
+    source: process.env.ARKIV_RETENTION_FILE || 'env'
+  };
+
+  validatePolicy(candidate);
+  policy = candidate;
+  return policy;
+}
+
+function getRetentionDays(type, websiteId, overrides = null) {
+  if (overrides && overrides.types && overrides.types[type] !== undefined) {
+    return overrides.types[type];
+  }
+  if (overrides && overrides.default !== undefined) {
+    return overrides.default;
+  }
+
+  const { default: defaultDays, types, websites } = loadPolicy();
+  const website = websiteId !== undefined && websiteId !== null ? websites[String(websiteId)] : null;
+
+  if (website && website.types && website.types[type] !== undefined) {
+    return website.types[type];
+  }
+  if (website && website.default !== undefined) {
+    return website.default;
+  }
+  if (types[type] !== undefined) {
+    return types[type];
+  }
+  return defaultDays;
+}
+
+// Extension rules with defaults filled in; `overrides` is the retention of the sink being extended
+function getExtensionRules(overrides = null) {
+  return loadPolicy().extend.map(rule => ({
+    type: rule.type,
+    websiteId: rule.website_id || null,
+    where: rule.where || {},
+    withinDays: rule.within_days !== undefined ? rule.within_days : DEFAULT_EXTEND_WITHIN_DAYS,
+    extendByDays: rule.extend_by_days !== undefined
+      ? rule.extend_by_days
+      : getRetentionDays(rule.type, rule.website_id, overrides)
+  }));
+}
+
+// Human-readable summary of the effective policy, logged on startup
+function describeRetentionPolicy() {
+  const { default: defaultDays, types, websites, source } = loadPolicy();
+  const lines = [`Retention policy (${source}): default ${defaultDays}d`];
+
+  const typeNames = Array.from(new Set([...KNOWN_TYPES, ...Object.keys(types)]));
+  lines.push(`  types: ${typeNames.map(type => `${type}=${getRetentionDays(type)}d`).join(', ')}`);
+
+  const unknown = Object.keys(types).filter(type => !KNOWN_TYPES.includes(type));
+  if (unknown.length > 0) {
+    lines.push(`  ⚠️  unknown types in policy: ${unknown.join(', ')}`);
+  }
+
+  Object.entries(websites).forEach(([websiteId, website]) => {
+    const overrides = Object.entries(website.types || {}).map(([type, days]) => `${type}=${days}d`);
+    lines.push(`  website ${websiteId}: default ${website.default !== undefined ? `${website.default}d` : 'inherited'}${overrides.length ? `, ${overrides.join(', ')}` : ''}`);
+  });
+
+  getExtensionRules().forEach(rule => {
+    const scope = [rule.websiteId && `website ${rule.websiteId}`, ...Object.entries(rule.where).map(([key, value]) => `${key}=${value}`)]
+      .filter(Boolean);
+    lines.push(`  extend: ${rule.type}${scope.length ? ` (${scope.join(', ')})` : ''} by ${rule.extendByDays}d when < ${rule.withinDays}d left`);
+  });
+
+  return lines;
+}
+
+module.exports = {
+  getRetentionDays,
+  getExtensionRules,
+  validateRetentionOverrides,
+  describeRetentionPolicy,
+  loadRetentionPolicy: loadPolicy
+};
@@ -0,0 +1,358 @@
+const fs = require('fs');
+const path = require('path');
+const { ArkivSink } = require('./arkiv-sink');
+const { INDEX_FILE } = require('./arkiv-dedup');
+const { validateRetentionOverrides } = require('./retention');
+const { createLogger } = require('./logger');
+
+// Which websites/events are synced, and to which Arkiv accounts or chains (sinks).
+//
+// Env:  ARKIV_SYNC_EXCLUDE=<website id or domain>,...   e.g. staging.copypal.online,*.test
+//       ARKIV_FANOUT=default,mainnet                    sinks every included item goes to
+// File: ARKIV_ROUTING_FILE=./routing.json
+//   {
+//     "sinks": {
+//       "customer-a": { "private_key_env": "ARKIV_PRIVATE_KEY_CUSTOMER_A" },
+//       "mainnet": {
+//         "private_key_env": "ARKIV_PRIVATE_KEY_MAINNET", "chain_id": 1, "rpc_url": "https://…",
+//         "retention": { "default": 365, "types": { "pageview": 90 } }
+//       }
+//     },
+//     "fanout": ["default", "mainnet"],
+//     "rules": [
+//       { "match": { "domain": ["*.test", "localhost"] }, "action": "exclude" },
+//       { "match": { "url_path": "/admin/*" }, "action": "exclude" },
+//       { "match": { "website_id": "<id>" }, "action": "route", "sink": "customer-a" }
+//     ],
+//     "default": "include"
+//   }
+//
+// Rules are checked in order and the first match wins. A rule matches when all of its
+// fields match: website_id, domain (the Umami website's), hostname, event_name, url_path.
+// Values are strings or lists with `*` wildcards; a field the item does not have
+// (e.g. url_path on a session) never matches. `include` writes to every fanout sink
+// (default: the ARKIV_* env sink), `route` to the named `sink` or `sinks`, `exclude`
+// drops the item before it is queued. "default": "exclude" syncs only what a rule
+// includes or routes.
+//
+// Every sink has its own dedup index, real-time queue and dead-letter store (file names
+// get a `.<sink>` suffix) and may override the retention policy for its writes.
+const DEFAULT_SINK = 'default';
+const ACTIONS = ['include', 'exclude', 'route'];
+const MATCH_FIELDS = ['website_id', 'domain', 'hostname', 'event_name', 'url_path'];
+const CASE_INSENSITIVE_FIELDS = ['domain', 'hostname'];
+const DOMAIN_REFRESH_INTERVAL = 60000; // unknown website ids trigger a reload at most this often
+const SINK_NAME = /^[a-z0-9][a-z0-9_-]*$/i; // used in file names
+
+let config;
+
+function readConfigFile(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read routing rules from ${file}: ${error.message}`);
+  }
+}
+
+function envExcludeRules() {
+  return (process.env.ARKIV_SYNC_EXCLUDE || '')
+    .split(',')
+    .map(value => value.trim())
+    .filter(Boolean)
+    .flatMap(value => [
+      { match: { website_id: value }, action: 'exclude' },
+      { match: { domain: value }, action: 'exclude' }
+    ]);
+}
+
+function envList(value) {
+  return value === undefined
+    ? undefined
+    : value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function validateConfig(candidate) {
+  const errors = [];
+  const known = name => name === DEFAULT_SINK || Boolean(candidate.sinks[name]);
+
+  Object.entries(candidate.sinks).forEach(([name, sink]) => {
+    if (name === DEFAULT_SINK) {
+      errors.push(`sinks.${DEFAULT_SINK} is reserved for the ARKIV_* env settings`);
+      return;
+    }
+    if (!SINK_NAME.test(name)) {
+      errors.push(`sinks.${name}: names may only contain letters, digits, - and _`);
+    }
+    if (!sink || typeof sink.private_key_env !== 'string' || !sink.private_key_env) {
+      errors.push(`sinks.${name}.private_key_env must name the env variable holding the private key`);
+    } else if (sink.retention !== undefined) {
+      validateRetentionOverrides(sink.retention, `sinks.${name}.retention`, errors);
+    }
+    // Another chain needs its own endpoints, the ARKIV_* ones belong to the default sink's chain
+    if (sink && sink.chain_id !== undefined) {
+      if (!Number.isInteger(Number(sink.chain_id)) || Number(sink.chain_id) <= 0) {
+        errors.push(`sinks.${name}.chain_id must be a positive integer`);
+      }
+      if (typeof sink.rpc_url !== 'string' || !sink.rpc_url) {
+        errors.push(`sinks.${name}.chain_id is set, so sinks.${name}.rpc_url must be set too`);
+      }
+    }
+  });
+
+  if (!Array.isArray(candidate.fanout) || candidate.fanout.length === 0) {
+    errors.push('fanout must list at least one sink');
+  } else {
+    candidate.fanout.filter(name => !known(name)).forEach(name => (
+      errors.push(`fanout sink ${JSON.stringify(name)} is not defined in sinks`)
+    ));
+  }
+
+  candidate.rules.forEach((rule, i) => {
+    if (!rule || !ACTIONS.includes(rule.action)) {
+      errors.push(`rules[${i}].action must be one of ${ACTIONS.join(', ')}`);
+      return;
+    }
+    const fields = Object.keys(rule.match || {});
+    if (fields.length === 0) {
+      errors.push(`rules[${i}].match needs at least one of ${MATCH_FIELDS.join(', ')}`);
+    }
+    fields.filter(field => !MATCH_FIELDS.includes(field)).forEach(field => (
+      errors.push(`rules[${i}].match.${field} is not a known field (expected ${MATCH_FIELDS.join(', ')})`)
+    ));
+    if (rule.action === 'route') {
+      const targets = [].concat(rule.sinks || rule.sink || []);
+      if (targets.length === 0) {
+        errors.push(`rules[${i}] routes to no sink (set "sink" or "sinks")`);
+      }
+      targets.filter(name => !known(name)).forEach(name => (
+        errors.push(`rules[${i}].sink ${JSON.stringify(name)} is not defined in sinks`)
+      ));
+    }
+  });
+
+  if (!['include', 'exclude'].includes(candidate.default)) {
+    errors.push(`default must be include or exclude (got ${JSON.stringify(candidate.default)})`);
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid routing rules:\n  - ${errors.join('\n  - ')}`);
+  }
+}
+
+function loadConfig() {
+  if (config) {
+    return config;
+  }
+
+  const file = process.env.ARKIV_ROUTING_FILE ? readConfigFile(process.env.ARKIV_ROUTING_FILE) : {};
+
+  const candidate = {
+    sinks: file.sinks || {},
+    fanout: file.fanout || envList(process.env.ARKIV_FANOUT) || [DEFAULT_SINK],
+    rules: [...envExcludeRules(), ...(file.rules || [])],
+    default: file.default || 'include',
+    source: process.env.ARKIV_ROUTING_FILE || 'env'
+  };
+
+  validateConfig(candidate);
+  // Sinks each rule writes to
+  candidate.rules = candidate.rules.map(rule => ({
+    ...rule,
+    targets: rule.action === 'route' ? [].concat(rule.sinks || rule.sink) : (rule.action === 'include' ? candidate.fanout : [])
+  }));
+  config = candidate;
+  return config;
+}
+
+// Per-sink state file: the default sink keeps `file`, others get `.<sink>` before the extension
+//   sinkFile('data/queue.journal', 'mainnet') → data/queue.mainnet.journal
+function sinkFile(file, name = DEFAULT_SINK) {
+  if (name === DEFAULT_SINK) {
+    return file;
+  }
+  const { dir, name: base, ext } = path.parse(file);
+  return path.join(dir, `${base}.${name}${ext}`);
+}
+
+// Retention overrides ({ default, types }) of a sink, or null
+function sinkRetention(name) {
+  const sink = loadConfig().sinks[name || DEFAULT_SINK];
+  return sink && sink.retention ? sink.retention : null;
+}
+
+function globToRegExp(pattern, flags) {
+  const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${source}$`, flags);
+}
+
+function matchesValue(field, expected, actual) {
+  if (actual === undefined || actual === null || actual === '') {
+    return false;
+  }
+  const flags = CASE_INSENSITIVE_FIELDS.includes(field) ? 'i' : '';
+  return [].concat(expected).some(pattern => globToRegExp(String(pattern), flags).test(String(actual)));
+}
+
+// Routing view of a mapped Umami item (or rollup/website row with website_id)
+function routingFields(item, domain) {
+  const data = item.data || {};
+  return {
+    website_id: item.website_id,
+    domain,
+    hostname: data.hostname,
+    event_name: data.event_name,
+    url_path: data.url_path
+  };
+}
+
+// Picks the sinks of every item and owns one ArkivSink per sink name.
+//   const router = new SyncRouter({ logger, loadDomains: () => loadWebsiteDomains(db) });
+//   const names = await router.route(item); // sink names, empty when excluded
+class SyncRouter {
+  constructor({ logger, loadDomains = null, sinkOptions = {} } = {}) {
+    this.config = loadConfig();
+    this.log = logger || createLogger('routing');
+    this.loadDomains = loadDomains;
+    this.sinkOptions = sinkOptions;
+    this.sinks = new Map();
+    this.domains = new Map();
+    this.domainsLoadedAt = 0;
+    this.needsDomains = this.config.rules.some(rule => rule.match.domain !== undefined);
+  }
+
+  sinkNames() {
+    return [DEFAULT_SINK, ...Object.keys(this.config.sinks)];
+  }
+
+  // Sinks that items can be written to under the current rules
+  activeSinkNames() {
+    const names = new Set(this.config.default === 'include' ? this.config.fanout : []);
+    this.config.rules.forEach(rule => rule.targets.forEach(name => names.add(name)));
+    return this.sinkNames().filter(name => names.has(name));
+  }
+
+  // ArkivSink for a sink name; named sinks read their key from the env variable in the config.
+  // No name (undefined, or null from an absent --sink) is the default sink.
+  sink(sinkName) {
+    const name = sinkName || DEFAULT_SINK;
+    if (this.sinks.has(name)) {
+      return this.sinks.get(name);
+    }
+
+    let options = { indexFile: sinkFile(INDEX_FILE, name) };
+    if (name !== DEFAULT_SINK) {
+      const sinkConfig = this.config.sinks[name];
+      if (!sinkConfig) {
+        throw new Error(`Unknown sink: ${name} (expected ${this.sinkNames().join(', ')})`);
+      }
+      options = {
+        ...options,
+        retention: sinkConfig.retention || null,
+        privateKey: process.env[sinkConfig.private_key_env],
+        ...(sinkConfig.chain_id !== undefined ? { chainId: Number(sinkConfig.chain_id), wsUrl: null } : {}),
+        ...(sinkConfig.rpc_url ? { rpcUrl: sinkConfig.rpc_url } : {}),
+        ...(sinkConfig.ws_url ? { wsUrl: sinkConfig.ws_url } : {})
+      };
+      if (!options.privateKey) {
+        throw new Error(`${sinkConfig.private_key_env} not set (private key of sink ${name})`);
+      }
+    }
+
+    const sink = new ArkivSink({ ...this.sinkOptions, ...options, logger: this.log.child({ sink: name }) });
+    this.sinks.set(name, sink);
+    return sink;
+  }
+
+  async refreshDomains() {
+    if (!this.needsDomains || !this.loadDomains) {
+      return;
+    }
+    this.domains = await this.loadDomains();
+    this.domainsLoadedAt = Date.now();
+  }
+
+  async domainOf(websiteId) {
+    const id = String(websiteId);
+    if (!this.domains.has(id) && this.loadDomains && Date.now() - this.domainsLoadedAt > DOMAIN_REFRESH_INTERVAL) {
+      await this.refreshDomains();
+    }
+    return this.domains.get(id);
+  }
+
+  // Sink names for an item, empty when it is excluded. `domain` skips the lookup
+  // (website rows carry their own).
+  async route(item, { domain } = {}) {
+    const { rules, fanout, default: defaultAction } = this.config;
+    if (rules.length === 0) {
+      return defaultAction === 'include' ? fanout : [];
+    }
+
+    const websiteDomain = domain !== undefined || !this.needsDomains ? domain : await this.domainOf(item.website_id);
+    const fields = routingFields(item, websiteDomain);
+
+    const rule = rules.find(candidate => (
+      Object.entries(candidate.match).every(([field, expected]) => matchesValue(field, expected, fields[field]))
+    ));
+
+    if (!rule) {
+      return defaultAction === 'include' ? fanout : [];
+    }
+    return rule.targets;
+  }
+
+  // Groups entries by sink (an entry fanned out to several sinks is in each group);
+  // subjectOf(entry) gives the item to route on
+  async partition(entries, subjectOf = entry => entry) {
+    const groups = new Map();
+    let excluded = 0;
+
+    for (const entry of entries) {
+      const subject = subjectOf(entry);
+      const names = await this.route(subject, { domain: subject.domain });
+      if (names.length === 0) {
+        excluded++;
+        continue;
+      }
+      names.forEach(name => {
+        if (!groups.has(name)) {
+          groups.set(name, []);
+        }
+        groups.get(name).push(entry);
+      });
+    }
+
+    return { groups, excluded };
+  }
+}
+
+// Human-readable summary, logged on startup
+function describeRouting() {
+  const { sinks, fanout, rules, default: defaultAction, source } = loadConfig();
+  const lines = [`Routing (${source}): ${rules.length} rule(s), default ${defaultAction}, fanout: ${fanout.join(', ')}`];
+
+  Object.entries(sinks).forEach(([name, sink]) => {
+    const retention = sink.retention
+      ? `, retention ${[
+        sink.retention.default !== undefined && `default=${sink.retention.default}d`,
+        ...Object.entries(sink.retention.types || {}).map(([type, days]) => `${type}=${days}d`)
+      ].filter(Boolean).join(', ')}`
+      : '';
+    lines.push(`  sink ${name}: key ${sink.private_key_env}${sink.chain_id !== undefined ? `, chain ${sink.chain_id}` : ''}${retention}`);
+  });
+
+  rules.forEach(rule => {
+    const match = Object.entries(rule.match).map(([field, value]) => `${field}=${[].concat(value).join('|')}`).join(' ');
+    lines.push(`  ${match} → ${rule.action === 'route' ? `sink ${rule.targets.join(', ')}` : rule.action}`);
+  });
+
+  return lines;
+}
+
+module.exports = {
+  DEFAULT_SINK,
+  SyncRouter,
+  sinkFile,
+  sinkRetention,
+  describeRouting,
+  loadRoutingConfig: loadConfig
+};
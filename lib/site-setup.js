@@ -0,0 +1,209 @@
+// Project setup for `umamidb setup`: find or create the Umami website for a
+// project's domain and write UMAMI_WEBSITE_ID into the project's .env
+
+const fs = require('fs');
+const path = require('path');
+const { findWebsiteByDomain } = require('./umami-api');
+const { createLogger } = require('./logger');
+
+const log = createLogger('site-setup');
+
+// Lista projektów do skonfigurowania
+const PROJECTS = [
+  {
+    name: 'CopyPal',
+    domain: 'copypal.online',
+    description: 'AI-powered copy-paste tool for developers'
+  },
+  {
+    name: 'DrawioDB',
+    domain: 'drawiodb.online',
+    description: 'Drawing and graphics storage on Golem DB'
+  },
+  {
+    name: 'FileDB',
+    domain: 'filedb.online',
+    description: 'File storage and sharing on Golem DB'
+  },
+  {
+    name: 'ImageDB',
+    domain: 'imagedb.online',
+    description: 'Image chunking middleware for Golem DB'
+  },
+  {
+    name: 'WebDB',
+    domain: 'webdb.site',
+    description: 'Static site hosting on Golem DB'
+  }
+];
+
+// Funkcja wykrywania domeny z różnych źródeł
+function detectDomain(projectPath) {
+  const sources = [
+    // Z docker-compose.yml - labels
+    () => {
+      try {
+        const composePath = path.join(projectPath, 'docker-compose.yml');
+        if (fs.existsSync(composePath)) {
+          const content = fs.readFileSync(composePath, 'utf8');
+
+          // Szukaj traefik.http.routers.*.rule=Host(`domain.com`)
+          const hostMatch = content.match(/traefik\.http\.routers\.[^=]*\.rule=Host\(`([^`]+)`\)/);
+          if (hostMatch) {
+            return hostMatch[1];
+          }
+
+          // Szukaj traefik.frontend.rule=Host:domain.com
+          const frontendMatch = content.match(/traefik\.frontend\.rule=Host:([^\\s,]+)/);
+          if (frontendMatch) {
+            return frontendMatch[1];
+          }
+
+          // Szukaj - "domain.com:port"
+          const portMatch = content.match(/- "([^:]+):\d+"/);
+          if (portMatch) {
+            return portMatch[1];
+          }
+        }
+      } catch (e) {
+        // ignore
+      }
+      return null;
+    },
+
+    // Z .env - DOMAIN, URL itp
+    () => {
+      try {
+        const envPath = path.join(projectPath, '.env');
+        if (fs.existsSync(envPath)) {
+          const content = fs.readFileSync(envPath, 'utf8');
+
+          const domainMatch = content.match(/^DOMAIN=(.+)$/m) ||
+                            content.match(/^APP_URL=https?:\/\/([^\\s\\/]+)/m) ||
+                            content.match(/^URL=https?:\/\/([^\\s\\/]+)/m) ||
+                            content.match(/^HOST=([^\\s]+)$/m);
+
+          if (domainMatch) {
+            return domainMatch[1].replace(/\/$/, '');
+          }
+        }
+      } catch (e) {
+        // ignore
+      }
+      return null;
+    },
+
+    // Z package.json - homepage
+    () => {
+      try {
+        const packagePath = path.join(projectPath, 'package.json');
+        if (fs.existsSync(packagePath)) {
+          const content = JSON.parse(fs.readFileSync(packagePath, 'utf8'));
+          if (content.homepage) {
+            const url = new URL(content.homepage);
+            return url.hostname;
+          }
+        }
+      } catch (e) {
+        // ignore
+      }
+      return null;
+    }
+  ];
+
+  for (const source of sources) {
+    const domain = source();
+    if (domain) {
+      return domain;
+    }
+  }
+
+  return null;
+}
+
+// Funkcja aktualizacji .env
+function updateEnvFile(projectPath, websiteId) {
+  const envPath = path.join(projectPath, '.env');
+  let content = '';
+
+  if (fs.existsSync(envPath)) {
+    content = fs.readFileSync(envPath, 'utf8');
+  }
+
+  // Sprawdź czy już istnieje UMAMI_WEBSITE_ID
+  if (content.includes('UMAMI_WEBSITE_ID=')) {
+    // Zamień istniejący
+    content = content.replace(/UMAMI_WEBSITE_ID=.*/g, `UMAMI_WEBSITE_ID=${websiteId}`);
+  } else {
+    // Dodaj nowy
+    content += `\n# Umami Analytics\nUMAMI_WEBSITE_ID=${websiteId}\n`;
+  }
+
+  fs.writeFileSync(envPath, content);
+}
+
+// Existing website for the domain, or a new one: { website, status: 'existing' | 'created' }
+async function ensureWebsite(umami, name, domain, websites = null) {
+  const existing = findWebsiteByDomain(websites || await umami.getWebsites(), domain);
+
+  if (existing) {
+    log.info(`✅ Website already exists: ${existing.name}`, { domain: existing.domain, website_id: existing.id });
+    return { website: existing, status: 'existing' };
+  }
+
+  log.info(`➕ Creating new website for ${domain}...`);
+  const website = await umami.createWebsite(name, domain);
+  log.info(`✅ Website created: ${website.name}`, { domain: website.domain, website_id: website.id });
+  return { website, status: 'created' };
+}
+
+// Set up one project directory; the domain is detected unless given
+async function setupProject(umami, projectPath, { domain = null, name = null } = {}) {
+  log.info(`🔍 Scanning project: ${projectPath}`);
+
+  const projectDomain = domain || detectDomain(projectPath);
+  if (!projectDomain) {
+    throw new Error(
+      'Could not detect domain. Expected traefik.http.routers.*.rule=Host(`domain.com`) in docker-compose.yml, ' +
+      'DOMAIN=domain.com or APP_URL=https://domain.com in .env, or pass --domain'
+    );
+  }
+
+  log.info(`🌐 Detected domain: ${projectDomain}`);
+
+  const { website, status } = await ensureWebsite(umami, name || path.basename(path.resolve(projectPath)), projectDomain);
+
+  log.info('📝 Updating .env file...');
+  updateEnvFile(projectPath, website.id);
+
+  return { project: website.name, path: projectPath, domain: projectDomain, websiteId: website.id, status };
+}
+
+// Set up all known projects; a failed project does not stop the others
+async function setupProjects(umami, projects = PROJECTS) {
+  const websites = await umami.getWebsites();
+  const results = [];
+
+  for (const project of projects) {
+    log.info(`📊 Processing ${project.name}...`, { domain: project.domain });
+
+    try {
+      const { website, status } = await ensureWebsite(umami, project.name, project.domain, websites);
+      results.push({ project: project.name, domain: project.domain, websiteId: website.id, status });
+    } catch (error) {
+      log.error(`❌ Failed to create website for ${project.name}`, { domain: project.domain, error });
+      results.push({ project: project.name, domain: project.domain, websiteId: null, status: 'failed', error: error.message });
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  PROJECTS,
+  detectDomain,
+  updateEnvFile,
+  ensureWebsite,
+  setupProject,
+  setupProjects
+};
@@ -0,0 +1,67 @@
+const fs = require('fs');
+const path = require('path');
+
+// Local state store for sync checkpoints (high-water marks per sync type)
+const STATE_FILE = process.env.SYNC_STATE_FILE || path.join(__dirname, '..', 'data', 'sync-state.json');
+
+let state;
+
+function loadState() {
+  if (state) {
+    return state;
+  }
+
+  try {
+    state = JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw new Error(`Failed to read sync state from ${STATE_FILE}: ${error.message}`);
+    }
+    state = {};
+  }
+
+  if (!state.checkpoints) {
+    state.checkpoints = {};
+  }
+
+  return state;
+}
+
+// Write to a temp file first so a crash never leaves a half-written state file;
+// per process, because the batch sync and the daemon may save at the same moment
+function saveState() {
+  fs.mkdirSync(path.dirname(STATE_FILE), { recursive: true });
+  const tmpFile = `${STATE_FILE}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpFile, JSON.stringify(loadState(), null, 2));
+  fs.renameSync(tmpFile, STATE_FILE);
+}
+
+function getCheckpoint(name) {
+  return loadState().checkpoints[name] || null;
+}
+
+// Re-read before every write: the batch sync and the real-time daemon share the file
+function reloadState() {
+  state = undefined;
+  return loadState();
+}
+
+function setCheckpoint(name, checkpoint) {
+  reloadState().checkpoints[name] = {
+    ...checkpoint,
+    updated_at: new Date().toISOString()
+  };
+  saveState();
+}
+
+function clearCheckpoint(name) {
+  delete reloadState().checkpoints[name];
+  saveState();
+}
+
+module.exports = {
+  STATE_FILE,
+  getCheckpoint,
+  setCheckpoint,
+  clearCheckpoint
+};
@@ -0,0 +1,140 @@
+const https = require('https');
+const http = require('http');
+
+const DEFAULT_UMAMI_URL = 'https://umami.golemdb.io';
+
+// HTTP request helper - resolves with { status, data }, data parsed as JSON when possible
+function makeRequest(url, options, postData = null) {
+  return new Promise((resolve, reject) => {
+    const lib = url.startsWith('https') ? https : http;
+
+    const req = lib.request(url, options, (res) => {
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => {
+        try {
+          const parsed = JSON.parse(data);
+          resolve({ status: res.statusCode, data: parsed });
+        } catch (e) {
+          resolve({ status: res.statusCode, data: data });
+        }
+      });
+    });
+
+    req.on('error', reject);
+
+    if (postData) {
+      req.write(JSON.stringify(postData));
+    }
+    req.end();
+  });
+}
+
+function normaliseDomain(domain) {
+  return domain.replace(/^https?:\/\//, '').replace(/\/$/, '').toLowerCase();
+}
+
+// Exact match, or a wildcard site (*.example.com) covering the domain
+function findWebsiteByDomain(websites, domain) {
+  const normalizedDomain = normaliseDomain(domain);
+
+  return websites.find(website => {
+    if (!website.domain) {
+      return false;
+    }
+    const siteDomain = normaliseDomain(website.domain);
+    return siteDomain === normalizedDomain ||
+           siteDomain === `*.${normalizedDomain}` ||
+           (siteDomain.startsWith('*.') && normalizedDomain.endsWith(siteDomain.substring(1)));
+  });
+}
+
+// Umami REST API client (login is lazy and the token is reused).
+//   const umami = new UmamiApiClient({ password });
+//   const site = await umami.findWebsiteByDomain('copypal.online');
+// Options default to UMAMI_URL, UMAMI_USERNAME and UMAMI_PASSWORD.
+class UmamiApiClient {
+  constructor({
+    url = process.env.UMAMI_URL || DEFAULT_UMAMI_URL,
+    username = process.env.UMAMI_USERNAME || 'admin',
+    password = process.env.UMAMI_PASSWORD
+  } = {}) {
+    this.url = url.replace(/\/$/, '');
+    this.username = username;
+    this.password = password;
+    this.token = null;
+  }
+
+  async login() {
+    if (!this.password) {
+      throw new Error('UMAMI_PASSWORD environment variable is required');
+    }
+
+    let response;
+    try {
+      response = await makeRequest(`${this.url}/api/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' }
+      }, { username: this.username, password: this.password });
+    } catch (error) {
+      throw new Error(`Login error: ${error.message}`);
+    }
+
+    if (response.status !== 200 || !response.data.token) {
+      throw new Error(`Login failed: ${response.status} - ${JSON.stringify(response.data)}`);
+    }
+
+    this.token = response.data.token;
+    return this.token;
+  }
+
+  // Authenticated request; `action` names the call in error messages
+  async request(method, apiPath, body, action) {
+    if (!this.token) {
+      await this.login();
+    }
+
+    let response;
+    try {
+      response = await makeRequest(`${this.url}${apiPath}`, {
+        method,
+        headers: {
+          'Authorization': `Bearer ${this.token}`,
+          'Content-Type': 'application/json'
+        }
+      }, body);
+    } catch (error) {
+      throw new Error(`${action} error: ${error.message}`);
+    }
+
+    if (response.status !== 200 && response.status !== 201) {
+      throw new Error(`Failed to ${action.toLowerCase()}: ${response.status} - ${JSON.stringify(response.data)}`);
+    }
+
+    return response.data;
+  }
+
+  // Umami v2 wraps lists in { data: [...] }, v1 returns the array
+  async getWebsites() {
+    const data = await this.request('GET', '/api/websites', null, 'Get websites');
+    return data.data || data;
+  }
+
+  async getWebsite(id) {
+    return this.request('GET', `/api/websites/${encodeURIComponent(id)}`, null, 'Get website');
+  }
+
+  async createWebsite(name, domain) {
+    return this.request('POST', '/api/websites', { name, domain }, 'Create website');
+  }
+
+  async findWebsiteByDomain(domain) {
+    return findWebsiteByDomain(await this.getWebsites(), domain);
+  }
+}
+
+module.exports = {
+  DEFAULT_UMAMI_URL,
+  UmamiApiClient,
+  findWebsiteByDomain
+};
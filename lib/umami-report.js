@@ -0,0 +1,132 @@
+// Analytics report computed from the Arkiv copy alone (pageview, event and session payloads),
+// so traffic questions can be answered while Umami is unavailable.
+
+const { renderTable, renderMarkdownTable } = require('./output');
+
+const TOP_LIMIT = Number(process.env.REPORT_TOP_LIMIT || 10);
+
+// Top-N lists, in the { value, count } shape of the rollup payloads
+const SECTIONS = [
+  { key: 'top_pages', title: 'Top pages', column: 'Path', unit: 'Pageviews' },
+  { key: 'top_referrers', title: 'Referrers', column: 'Domain', unit: 'Pageviews' },
+  { key: 'countries', title: 'Countries', column: 'Country', unit: 'Sessions' },
+  { key: 'browsers', title: 'Browsers', column: 'Browser', unit: 'Sessions' },
+  { key: 'event_counts', title: 'Custom events', column: 'Event', unit: 'Count' }
+];
+
+function increment(counts, value, by = 1) {
+  counts.set(value, (counts.get(value) || 0) + by);
+}
+
+// Highest counts first, ties by value
+function topEntries(counts, limit) {
+  return Array.from(counts, ([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)))
+    .slice(0, limit);
+}
+
+// pageviews/events: payloads within the range; sessions: session payloads of their visits
+// (any creation time - a visit in the range can belong to an older session)
+function computeReport({ website, from, to, pageviews, events, sessions }, { top = TOP_LIMIT } = {}) {
+  const sessionsById = new Map(sessions.map(session => [session.session_id, session]));
+  const activeSessions = new Set();
+  const pages = new Map();
+  const referrers = new Map();
+  const eventNames = new Map();
+
+  pageviews.forEach(pageview => {
+    activeSessions.add(pageview.session_id);
+    increment(pages, pageview.url_path || '/');
+    if (pageview.referrer_domain) {
+      increment(referrers, pageview.referrer_domain);
+    }
+  });
+
+  events.forEach(event => {
+    activeSessions.add(event.session_id);
+    increment(eventNames, event.event_name || '(unnamed)');
+  });
+
+  // Sessions that are not on Arkiv (expired or not synced yet) count as unknown
+  const countries = new Map();
+  const browsers = new Map();
+  activeSessions.forEach(sessionId => {
+    const session = sessionsById.get(sessionId) || {};
+    increment(countries, session.country || 'unknown');
+    increment(browsers, session.browser || 'unknown');
+  });
+
+  return {
+    website,
+    from,
+    to,
+    totals: {
+      pageviews: pageviews.length,
+      sessions: activeSessions.size,
+      events: events.length,
+      pages_per_session: activeSessions.size > 0 ? Number((pageviews.length / activeSessions.size).toFixed(2)) : 0
+    },
+    top_pages: topEntries(pages, top),
+    top_referrers: topEntries(referrers, top),
+    countries: topEntries(countries, top),
+    browsers: topEntries(browsers, top),
+    event_counts: topEntries(eventNames, top)
+  };
+}
+
+function websiteLabel(website) {
+  return website.domain && website.domain !== website.id ? `${website.domain} (${website.id})` : website.id;
+}
+
+function sectionRows(report, section) {
+  return report[section.key].map(entry => ({ [section.column]: entry.value, [section.unit]: entry.count }));
+}
+
+function totalsRows(report) {
+  return [
+    { Metric: 'Pageviews', Value: report.totals.pageviews },
+    { Metric: 'Unique sessions', Value: report.totals.sessions },
+    { Metric: 'Custom events', Value: report.totals.events },
+    { Metric: 'Pages per session', Value: report.totals.pages_per_session }
+  ];
+}
+
+// format: 'table' (terminal) or 'markdown'
+function renderReport(report, format = 'table') {
+  const range = `${report.from} → ${report.to}`;
+
+  if (format === 'markdown') {
+    const lines = [
+      `# Analytics report: ${websiteLabel(report.website)}`,
+      '',
+      `_${range}, from Arkiv DB_`,
+      '',
+      '## Totals',
+      '',
+      renderMarkdownTable(totalsRows(report))
+    ];
+    SECTIONS.forEach(section => {
+      const rows = sectionRows(report, section);
+      lines.push('', `## ${section.title}`, '', rows.length > 0 ? renderMarkdownTable(rows) : '_No data_');
+    });
+    return lines.join('\n');
+  }
+
+  const lines = [
+    `📊 ${websiteLabel(report.website)}`,
+    `   ${range}`,
+    '',
+    renderTable(totalsRows(report))
+  ];
+  SECTIONS.forEach(section => {
+    const rows = sectionRows(report, section);
+    lines.push('', section.title, rows.length > 0 ? renderTable(rows) : '  (no data)');
+  });
+  return lines.join('\n');
+}
+
+module.exports = {
+  TOP_LIMIT,
+  computeReport,
+  renderReport
+};
@@ -0,0 +1,211 @@
+const { createHash } = require('crypto');
+
+// Restore support: maps Arkiv entity payloads back to Umami v2 rows and writes
+// them into a target Postgres with conflict handling.
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Umami v2 event_data.data_type values
+const DATA_TYPE_STRING = 1;
+const DATA_TYPE_NUMBER = 2;
+const DATA_TYPE_BOOLEAN = 3;
+const DATA_TYPE_DATE = 4;
+const DATA_TYPE_ARRAY = 5;
+
+const TABLES = {
+  website: { primaryKey: 'website_id' },
+  session: { primaryKey: 'session_id' },
+  website_event: { primaryKey: 'event_id' },
+  event_data: { primaryKey: 'event_data_id' }
+};
+
+// Restore order matters for targets that enforce foreign keys
+const RESTORE_TYPES = ['website_metadata', 'session', 'pageview', 'event'];
+
+function isUuid(value) {
+  return typeof value === 'string' && UUID_PATTERN.test(value);
+}
+
+// Deterministic UUID so re-running a restore hits the same event_data rows
+function stableUuid(...parts) {
+  const hex = createHash('sha256').update(parts.join(':')).digest('hex');
+  return [
+    hex.slice(0, 8),
+    hex.slice(8, 12),
+    `4${hex.slice(13, 16)}`,
+    `${((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16)}${hex.slice(17, 20)}`,
+    hex.slice(20, 32)
+  ].join('-');
+}
+
+function propertyToEventData(event, key, value) {
+  const row = {
+    event_data_id: stableUuid(event.event_id, key),
+    website_id: event.website_id,
+    website_event_id: event.event_id,
+    data_key: key,
+    string_value: null,
+    number_value: null,
+    date_value: null,
+    data_type: DATA_TYPE_STRING,
+    created_at: event.created_at
+  };
+
+  if (typeof value === 'number') {
+    row.number_value = value;
+    row.data_type = DATA_TYPE_NUMBER;
+  } else if (typeof value === 'boolean') {
+    row.string_value = String(value);
+    row.data_type = DATA_TYPE_BOOLEAN;
+  } else if (Array.isArray(value) || (value && typeof value === 'object')) {
+    row.string_value = JSON.stringify(value);
+    row.data_type = DATA_TYPE_ARRAY;
+  } else if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T[\d:.]+Z$/.test(value)) {
+    row.date_value = value;
+    row.data_type = DATA_TYPE_DATE;
+  } else {
+    row.string_value = value === null || value === undefined ? null : String(value);
+  }
+
+  return row;
+}
+
+// Returns { table: [rows] } for one entity payload, or null if it cannot be restored
+function entityToRows(type, data) {
+  switch (type) {
+    case 'website_metadata':
+      if (!isUuid(data.id)) {
+        return null;
+      }
+      return {
+        website: [{
+          website_id: data.id,
+          name: data.name,
+          domain: data.domain,
+          share_id: data.share_id,
+          created_at: data.created_at,
+          updated_at: data.updated_at,
+          deleted_at: data.deleted_at || null
+        }]
+      };
+
+    case 'session':
+      if (!isUuid(data.session_id) || !isUuid(data.website_id)) {
+        return null;
+      }
+      return {
+        session: [{
+          session_id: data.session_id,
+          website_id: data.website_id,
+          browser: data.browser,
+          os: data.os,
+          device: data.device,
+          screen: data.screen,
+          language: data.language,
+          country: data.country,
+          subdivision1: data.region,
+          city: data.city,
+          created_at: data.created_at
+        }]
+      };
+
+    case 'pageview':
+    case 'event': {
+      if (!isUuid(data.event_id) || !isUuid(data.website_id) || !isUuid(data.session_id)) {
+        return null;
+      }
+
+      const event = {
+        event_id: data.event_id,
+        website_id: data.website_id,
+        session_id: data.session_id,
+        visit_id: data.visit_id || data.session_id,
+        url_path: data.url_path || '',
+        url_query: data.url_query,
+        referrer_path: data.referrer_path,
+        referrer_domain: data.referrer_domain,
+        page_title: data.page_title,
+        hostname: data.hostname,
+        event_type: type === 'pageview' ? 1 : 2,
+        event_name: type === 'event' ? data.event_name : null,
+        created_at: data.created_at
+      };
+
+      const properties = type === 'event' && data.properties ? data.properties : {};
+
+      return {
+        website_event: [event],
+        event_data: Object.entries(properties).map(([key, value]) => propertyToEventData(event, key, value))
+      };
+    }
+
+    default:
+      return null;
+  }
+}
+
+// Column names of the target tables, so rows only carry what the target schema has
+async function loadTargetColumns(db) {
+  const result = await db.query(`
+    SELECT table_name, column_name
+    FROM information_schema.columns
+    WHERE table_schema = current_schema()
+      AND table_name = ANY($1::text[])
+  `, [Object.keys(TABLES)]);
+
+  const columns = {};
+  result.rows.forEach(row => {
+    if (!columns[row.table_name]) {
+      columns[row.table_name] = new Set();
+    }
+    columns[row.table_name].add(row.column_name);
+  });
+
+  const missing = Object.keys(TABLES).filter(table => !columns[table]);
+  if (missing.length > 0) {
+    throw new Error(`Target database is missing Umami v2 tables: ${missing.join(', ')}`);
+  }
+
+  return columns;
+}
+
+// Multi-row INSERT with ON CONFLICT DO NOTHING (skip) or DO UPDATE (update)
+async function insertRows(db, table, rows, targetColumns, onConflict = 'skip') {
+  if (rows.length === 0) {
+    return 0;
+  }
+
+  const { primaryKey } = TABLES[table];
+
+  // One row per primary key - Postgres refuses to update the same row twice in one statement
+  const unique = Array.from(new Map(rows.map(row => [row[primaryKey], row])).values());
+
+  const columns = Object.keys(unique[0]).filter(column => targetColumns[table].has(column));
+  const values = [];
+  const placeholders = unique.map(row => {
+    const slots = columns.map(column => {
+      values.push(row[column] === undefined ? null : row[column]);
+      return `$${values.length}`;
+    });
+    return `(${slots.join(', ')})`;
+  });
+
+  const conflict = onConflict === 'update'
+    ? `DO UPDATE SET ${columns.filter(column => column !== primaryKey).map(column => `${column} = EXCLUDED.${column}`).join(', ')}`
+    : 'DO NOTHING';
+
+  const result = await db.query(`
+    INSERT INTO ${table} (${columns.join(', ')})
+    VALUES ${placeholders.join(', ')}
+    ON CONFLICT (${primaryKey}) ${conflict}
+  `, values);
+
+  return result.rowCount;
+}
+
+module.exports = {
+  RESTORE_TYPES,
+  entityToRows,
+  loadTargetColumns,
+  insertRows
+};
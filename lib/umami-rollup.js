@@ -0,0 +1,164 @@
+// Rollups: per-website hourly/daily aggregates computed from Umami Postgres,
+// written to Arkiv as `rollup_hourly` / `rollup_daily` entities.
+
+const GRANULARITIES = {
+  hourly: { type: 'rollup_hourly', unit: 'hour', seconds: 60 * 60, periodsPerQuery: 24 },
+  daily: { type: 'rollup_daily', unit: 'day', seconds: 24 * 60 * 60, periodsPerQuery: 7 }
+};
+
+const TOP_LIMIT = Number(process.env.ROLLUP_TOP_LIMIT || 10);
+
+// Dimensions kept as top-N lists in the payload
+const DIMENSIONS = ['top_paths', 'top_referrers', 'countries', 'devices', 'event_counts'];
+
+// Normalised event stream per schema version ($1 = from, $2 = to)
+const SOURCE_QUERIES = {
+  v1: `
+    SELECT p.website_id::text AS website_id, p.created_at, p.session_id::text AS session_id,
+      1 AS event_type,
+      split_part(p.url, '?', 1) AS url_path,
+      NULLIF(substring(p.referrer from '^[a-z]+://([^/:?#]+)'), '') AS referrer_domain,
+      NULL::text AS event_name,
+      s.country, s.device
+    FROM pageview p
+    LEFT JOIN session s ON s.id = p.session_id
+    WHERE p.created_at >= $1 AND p.created_at < $2
+    UNION ALL
+    SELECT e.website_id::text, e.created_at, e.session_id::text,
+      2,
+      split_part(e.url, '?', 1),
+      NULL,
+      e.event_name,
+      s.country, s.device
+    FROM event e
+    LEFT JOIN session s ON s.id = e.session_id
+    WHERE e.created_at >= $1 AND e.created_at < $2
+  `,
+  v2: `
+    SELECT e.website_id::text AS website_id, e.created_at, e.session_id::text AS session_id,
+      e.event_type, e.url_path, e.referrer_domain, e.event_name,
+      s.country, s.device
+    FROM website_event e
+    LEFT JOIN session s ON s.session_id = e.session_id
+    WHERE e.created_at >= $1 AND e.created_at < $2
+  `
+};
+
+// $3 = website id or null, $4 = date_trunc unit; buckets are UTC
+function bucketedSource(version) {
+  return `
+    WITH source AS (${SOURCE_QUERIES[version]}),
+    bucketed AS (
+      SELECT *, date_trunc($4, created_at AT TIME ZONE 'UTC') AS bucket
+      FROM source
+      WHERE $3::text IS NULL OR website_id = $3::text
+    )
+  `;
+}
+
+function totalsQuery(version) {
+  return `
+    ${bucketedSource(version)}
+    SELECT
+      website_id,
+      to_char(bucket, 'YYYY-MM-DD"T"HH24:MI:SS"Z"') AS period_start,
+      count(*) FILTER (WHERE event_type = 1) AS pageviews,
+      count(DISTINCT session_id) AS sessions,
+      count(*) FILTER (WHERE event_type = 2) AS events
+    FROM bucketed
+    GROUP BY website_id, bucket
+    ORDER BY bucket, website_id
+  `;
+}
+
+// $5 = top-N limit
+function dimensionsQuery(version) {
+  return `
+    ${bucketedSource(version)},
+    dimensions AS (
+      SELECT website_id, bucket, 'top_paths' AS dimension, url_path AS value, count(*) AS count
+      FROM bucketed WHERE event_type = 1 AND url_path IS NOT NULL
+      GROUP BY website_id, bucket, url_path
+      UNION ALL
+      SELECT website_id, bucket, 'top_referrers', referrer_domain, count(*)
+      FROM bucketed WHERE event_type = 1 AND referrer_domain IS NOT NULL AND referrer_domain <> ''
+      GROUP BY website_id, bucket, referrer_domain
+      UNION ALL
+      SELECT website_id, bucket, 'countries', country, count(DISTINCT session_id)
+      FROM bucketed WHERE country IS NOT NULL
+      GROUP BY website_id, bucket, country
+      UNION ALL
+      SELECT website_id, bucket, 'devices', device, count(DISTINCT session_id)
+      FROM bucketed WHERE device IS NOT NULL
+      GROUP BY website_id, bucket, device
+      UNION ALL
+      SELECT website_id, bucket, 'event_counts', event_name, count(*)
+      FROM bucketed WHERE event_type = 2 AND event_name IS NOT NULL
+      GROUP BY website_id, bucket, event_name
+    )
+    SELECT website_id, to_char(bucket, 'YYYY-MM-DD"T"HH24:MI:SS"Z"') AS period_start, dimension, value, count
+    FROM (
+      SELECT *, row_number() OVER (PARTITION BY website_id, bucket, dimension ORDER BY count DESC, value) AS rank
+      FROM dimensions
+    ) ranked
+    WHERE rank <= $5
+    ORDER BY website_id, bucket, dimension, rank
+  `;
+}
+
+function getGranularity(name) {
+  const granularity = GRANULARITIES[name];
+  if (!granularity) {
+    throw new Error(`Unknown rollup granularity: ${name} (expected ${Object.keys(GRANULARITIES).join(' or ')})`);
+  }
+  return granularity;
+}
+
+// Start of the period containing `time` (ms since epoch, UTC)
+function periodStart(name, time) {
+  const periodMs = getGranularity(name).seconds * 1000;
+  return Math.floor(time / periodMs) * periodMs;
+}
+
+// Aggregates for all periods in [from, to) with any data, one object per website and period
+async function computeRollups(db, version, name, { from, to, websiteId = null }) {
+  const { unit, seconds } = getGranularity(name);
+  const params = [new Date(from).toISOString(), new Date(to).toISOString(), websiteId, unit];
+
+  const totals = await db.query(totalsQuery(version), params);
+  const dimensions = await db.query(dimensionsQuery(version), [...params, TOP_LIMIT]);
+
+  const rollups = new Map();
+
+  totals.rows.forEach(row => {
+    const rollup = {
+      website_id: row.website_id,
+      granularity: name,
+      period_start: row.period_start,
+      period_end: new Date(Date.parse(row.period_start) + seconds * 1000).toISOString().replace('.000Z', 'Z'),
+      pageviews: Number(row.pageviews),
+      sessions: Number(row.sessions),
+      events: Number(row.events)
+    };
+    DIMENSIONS.forEach(dimension => {
+      rollup[dimension] = [];
+    });
+    rollups.set(`${row.website_id}:${row.period_start}`, rollup);
+  });
+
+  dimensions.rows.forEach(row => {
+    const rollup = rollups.get(`${row.website_id}:${row.period_start}`);
+    if (rollup) {
+      rollup[row.dimension].push({ value: row.value, count: Number(row.count) });
+    }
+  });
+
+  return Array.from(rollups.values());
+}
+
+module.exports = {
+  GRANULARITIES,
+  getGranularity,
+  periodStart,
+  computeRollups
+};
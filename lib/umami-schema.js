@@ -0,0 +1,504 @@
+// Umami schema support: detects the database layout (v1: pageview/event tables,
+// v2: website_event/event_data) and maps rows of either version to the item
+// shape the sync queues ({ type, website_id, umami_id, timestamp, data, metadata }).
+
+const SCHEMA_OVERRIDE = process.env.UMAMI_SCHEMA;
+
+// event_data keys promoted to queryable `prop_<key>` attributes (comma separated)
+const PROPERTY_ATTRIBUTES = (process.env.EVENT_PROPERTY_ATTRIBUTES || '')
+  .split(',')
+  .map(key => key.trim())
+  .filter(Boolean);
+const MAX_ATTRIBUTE_LENGTH = 256;
+
+// Umami v2 event_data.data_type values
+const DATA_TYPE_NUMBER = 2;
+const DATA_TYPE_BOOLEAN = 3;
+const DATA_TYPE_DATE = 4;
+const DATA_TYPE_ARRAY = 5;
+
+const detectedVersions = new WeakMap();
+
+function formatTimestamp(value) {
+  if (!value) {
+    return new Date().toISOString();
+  }
+
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return new Date().toISOString();
+  }
+
+  return date.toISOString();
+}
+
+async function detectSchemaVersion(db) {
+  if (SCHEMA_OVERRIDE) {
+    if (!['v1', 'v2'].includes(SCHEMA_OVERRIDE)) {
+      throw new Error(`Invalid UMAMI_SCHEMA: ${SCHEMA_OVERRIDE} (expected v1 or v2)`);
+    }
+    return SCHEMA_OVERRIDE;
+  }
+
+  if (detectedVersions.has(db)) {
+    return detectedVersions.get(db);
+  }
+
+  const result = await db.query(`
+    SELECT table_name
+    FROM information_schema.tables
+    WHERE table_schema = current_schema()
+      AND table_name IN ('website_event', 'pageview')
+  `);
+  const tables = result.rows.map(row => row.table_name);
+
+  let version;
+  if (tables.includes('website_event')) {
+    version = 'v2';
+  } else if (tables.includes('pageview')) {
+    version = 'v1';
+  } else {
+    throw new Error('Could not detect Umami schema: neither website_event nor pageview table found');
+  }
+
+  detectedVersions.set(db, version);
+  return version;
+}
+
+// Split a v1 `url`/`referrer` value into the v2 path/query/domain parts
+function splitUrl(value) {
+  if (!value) {
+    return { domain: null, path: null, query: null };
+  }
+
+  try {
+    const url = new URL(value, 'http://umami.invalid');
+    return {
+      domain: url.hostname === 'umami.invalid' ? null : url.hostname,
+      path: url.pathname,
+      query: url.search ? url.search.slice(1) : null
+    };
+  } catch (error) {
+    return { domain: null, path: value, query: null };
+  }
+}
+
+// v2 rows (also the shape of the real-time trigger notifications)
+function mapPageview(row) {
+  const createdAtIso = formatTimestamp(row.created_at);
+
+  return {
+    type: 'pageview',
+    website_id: row.website_id,
+    umami_id: row.event_id,
+    timestamp: createdAtIso,
+    data: {
+      event_id: row.event_id,
+      website_id: row.website_id,
+      session_id: row.session_id,
+      url_path: row.url_path,
+      url_query: row.url_query,
+      referrer_path: row.referrer_path,
+      referrer_domain: row.referrer_domain,
+      page_title: row.page_title,
+      hostname: row.hostname,
+      created_at: createdAtIso
+    },
+    metadata: {
+      url_path: row.url_path || '',
+      hostname: row.hostname || '',
+      referrer_domain: row.referrer_domain || ''
+    }
+  };
+}
+
+function eventDataValue(row) {
+  switch (row.data_type) {
+    case DATA_TYPE_NUMBER:
+      return row.number_value === null ? null : Number(row.number_value);
+    case DATA_TYPE_BOOLEAN:
+      return row.string_value === 'true';
+    case DATA_TYPE_DATE:
+      return row.date_value ? formatTimestamp(row.date_value) : null;
+    case DATA_TYPE_ARRAY:
+      try {
+        return JSON.parse(row.string_value);
+      } catch (error) {
+        return row.string_value;
+      }
+    default:
+      return row.string_value;
+  }
+}
+
+// Load custom properties for v2 events: Map<event_id, { data_key: value }>
+async function fetchEventProperties(db, eventIds) {
+  const properties = new Map();
+
+  if (eventIds.length === 0) {
+    return properties;
+  }
+
+  const result = await db.query(`
+    SELECT website_event_id, data_key, string_value, number_value, date_value, data_type
+    FROM event_data
+    WHERE website_event_id = ANY($1::uuid[])
+    ORDER BY created_at
+  `, [eventIds]);
+
+  result.rows.forEach(row => {
+    const eventId = String(row.website_event_id);
+    if (!properties.has(eventId)) {
+      properties.set(eventId, {});
+    }
+    properties.get(eventId)[row.data_key] = eventDataValue(row);
+  });
+
+  return properties;
+}
+
+// Attach `event_properties` to custom event rows before they are mapped
+async function attachEventProperties(db, version, rows) {
+  if (version === 'v1') {
+    // v1 kept custom data as JSON next to the event
+    rows.forEach(row => {
+      const value = row.event_data;
+      if (value && typeof value === 'object') {
+        row.event_properties = value.event_data || value;
+      } else if (typeof value === 'string') {
+        try {
+          row.event_properties = JSON.parse(value);
+        } catch (error) {
+          row.event_properties = null;
+        }
+      }
+    });
+    return rows;
+  }
+
+  const eventRows = rows.filter(row => row.event_type === undefined || row.event_type === 2);
+  const properties = await fetchEventProperties(db, eventRows.map(row => row.event_id));
+  eventRows.forEach(row => {
+    row.event_properties = properties.get(String(row.event_id)) || null;
+  });
+
+  return rows;
+}
+
+// Add custom properties to an event item; allowlisted keys also become attributes
+function withEventProperties(item, properties) {
+  if (!properties || Object.keys(properties).length === 0) {
+    return item;
+  }
+
+  const promoted = {};
+  PROPERTY_ATTRIBUTES.forEach(key => {
+    const value = properties[key];
+    if (value === undefined || value === null) {
+      return;
+    }
+    promoted[`prop_${key}`] = typeof value === 'number'
+      ? value
+      : (typeof value === 'string' ? value : JSON.stringify(value)).slice(0, MAX_ATTRIBUTE_LENGTH);
+  });
+
+  return {
+    ...item,
+    data: { ...item.data, properties },
+    metadata: { ...item.metadata, ...promoted }
+  };
+}
+
+function mapCustomEvent(row) {
+  const createdAtIso = formatTimestamp(row.created_at);
+
+  return withEventProperties({
+    type: 'event',
+    website_id: row.website_id,
+    umami_id: row.event_id,
+    timestamp: createdAtIso,
+    data: {
+      event_id: row.event_id,
+      website_id: row.website_id,
+      session_id: row.session_id,
+      event_name: row.event_name,
+      url_path: row.url_path,
+      hostname: row.hostname,
+      created_at: createdAtIso
+    },
+    metadata: {
+      event_name: row.event_name || '',
+      url_path: row.url_path || '',
+      hostname: row.hostname || ''
+    }
+  }, row.event_properties);
+}
+
+function mapWebsiteEvent(row) {
+  if (row.event_type === 1) {
+    return mapPageview(row);
+  }
+  if (row.event_type === 2) {
+    return mapCustomEvent(row);
+  }
+  return null;
+}
+
+function mapSession(row) {
+  const createdAtIso = formatTimestamp(row.created_at);
+
+  return {
+    type: 'session',
+    website_id: row.website_id,
+    umami_id: row.session_id,
+    timestamp: createdAtIso,
+    data: {
+      session_id: row.session_id,
+      website_id: row.website_id,
+      browser: row.browser,
+      os: row.os,
+      device: row.device,
+      screen: row.screen,
+      language: row.language,
+      country: row.country,
+      region: row.region !== undefined ? row.region : row.subdivision1,
+      city: row.city,
+      created_at: createdAtIso
+    },
+    metadata: {
+      country: row.country || 'unknown',
+      device: row.device || 'unknown',
+      browser: row.browser || 'unknown',
+      os: row.os || 'unknown'
+    }
+  };
+}
+
+// v1 rows are translated into v2 column names first
+function mapV1Pageview(row) {
+  const url = splitUrl(row.url);
+  const referrer = splitUrl(row.referrer);
+
+  return mapPageview({
+    event_id: row.id,
+    website_id: row.website_id,
+    session_id: row.session_id,
+    url_path: url.path,
+    url_query: url.query,
+    referrer_path: referrer.path,
+    referrer_domain: referrer.domain,
+    page_title: null,
+    hostname: row.website_domain,
+    created_at: row.created_at
+  });
+}
+
+function mapV1Event(row) {
+  const url = splitUrl(row.url);
+
+  return mapCustomEvent({
+    event_id: row.id,
+    website_id: row.website_id,
+    session_id: row.session_id,
+    event_name: row.event_name,
+    url_path: url.path,
+    hostname: row.website_domain,
+    event_properties: row.event_properties,
+    created_at: row.created_at
+  });
+}
+
+function mapV1Session(row) {
+  return {
+    ...mapSession({ ...row, region: null, city: null }),
+    umami_id: row.id
+  };
+}
+
+// Checkpointed sync queries: ($1 = cursor time, $2 = cursor id, $3 = page size).
+// Rows carry `cursor_time` (exact text timestamp) and `cursor_id` columns.
+const SYNC_QUERIES = {
+  v1: {
+    pageview: `
+      SELECT
+        p.id,
+        p.website_id,
+        p.session_id,
+        p.created_at,
+        p.url,
+        p.referrer,
+        w.name as website_name,
+        w.domain as website_domain,
+        p.created_at::text as cursor_time,
+        p.id as cursor_id
+      FROM pageview p
+      JOIN website w ON p.website_id = w.id
+      WHERE p.created_at > $1 OR (p.created_at = $1 AND p.id > $2)
+      ORDER BY p.created_at, p.id
+      LIMIT $3
+    `,
+    event: `
+      SELECT
+        e.id,
+        e.website_id,
+        e.session_id,
+        e.created_at,
+        e.url,
+        e.event_name,
+        e.event_data,
+        w.name as website_name,
+        w.domain as website_domain,
+        e.created_at::text as cursor_time,
+        e.id as cursor_id
+      FROM event e
+      JOIN website w ON e.website_id = w.id
+      WHERE e.created_at > $1 OR (e.created_at = $1 AND e.id > $2)
+      ORDER BY e.created_at, e.id
+      LIMIT $3
+    `,
+    session: `
+      SELECT
+        s.id,
+        s.session_id,
+        s.website_id,
+        s.created_at,
+        s.hostname,
+        s.browser,
+        s.os,
+        s.device,
+        s.screen,
+        s.language,
+        s.country,
+        s.created_at::text as cursor_time,
+        s.id as cursor_id
+      FROM session s
+      WHERE s.created_at > $1 OR (s.created_at = $1 AND s.id > $2)
+      ORDER BY s.created_at, s.id
+      LIMIT $3
+    `,
+    website_metadata: `
+      SELECT
+        id,
+        name,
+        domain,
+        share_id,
+        created_at,
+        updated_at,
+        COALESCE(updated_at, created_at)::text as cursor_time,
+        id as cursor_id
+      FROM website
+      WHERE COALESCE(updated_at, created_at) > $1
+        OR (COALESCE(updated_at, created_at) = $1 AND id > $2)
+      ORDER BY COALESCE(updated_at, created_at), id
+      LIMIT $3
+    `
+  },
+  v2: {
+    pageview: `
+      SELECT
+        e.*,
+        e.created_at::text as cursor_time,
+        e.event_id as cursor_id
+      FROM website_event e
+      WHERE e.event_type = 1
+        AND (e.created_at > $1 OR (e.created_at = $1 AND e.event_id > $2))
+      ORDER BY e.created_at, e.event_id
+      LIMIT $3
+    `,
+    event: `
+      SELECT
+        e.*,
+        e.created_at::text as cursor_time,
+        e.event_id as cursor_id
+      FROM website_event e
+      WHERE e.event_type = 2
+        AND (e.created_at > $1 OR (e.created_at = $1 AND e.event_id > $2))
+      ORDER BY e.created_at, e.event_id
+      LIMIT $3
+    `,
+    session: `
+      SELECT
+        s.*,
+        s.created_at::text as cursor_time,
+        s.session_id as cursor_id
+      FROM session s
+      WHERE s.created_at > $1 OR (s.created_at = $1 AND s.session_id > $2)
+      ORDER BY s.created_at, s.session_id
+      LIMIT $3
+    `,
+    website_metadata: `
+      SELECT
+        website_id as id,
+        name,
+        domain,
+        share_id,
+        created_at,
+        updated_at,
+        deleted_at,
+        COALESCE(updated_at, created_at)::text as cursor_time,
+        website_id as cursor_id
+      FROM website
+      WHERE COALESCE(updated_at, created_at) > $1
+        OR (COALESCE(updated_at, created_at) = $1 AND website_id > $2)
+      ORDER BY COALESCE(updated_at, created_at), website_id
+      LIMIT $3
+    `
+  }
+};
+
+const ROW_MAPPERS = {
+  v1: {
+    pageview: mapV1Pageview,
+    event: mapV1Event,
+    session: mapV1Session
+  },
+  v2: {
+    pageview: mapPageview,
+    event: mapCustomEvent,
+    session: mapSession
+  }
+};
+
+function getSyncQuery(version, type) {
+  const query = SYNC_QUERIES[version] && SYNC_QUERIES[version][type];
+  if (!query) {
+    throw new Error(`No ${type} query for Umami schema ${version}`);
+  }
+  return query;
+}
+
+// website id → domain, for routing rules that match on the domain
+const WEBSITE_DOMAIN_QUERIES = {
+  v1: 'SELECT id::text AS website_id, domain FROM website',
+  v2: 'SELECT website_id::text AS website_id, domain FROM website'
+};
+
+async function loadWebsiteDomains(db) {
+  const version = await detectSchemaVersion(db);
+  const result = await db.query(WEBSITE_DOMAIN_QUERIES[version]);
+  return new Map(result.rows.map(row => [row.website_id, row.domain]));
+}
+
+function mapRow(version, type, row) {
+  const mapper = ROW_MAPPERS[version] && ROW_MAPPERS[version][type];
+  if (!mapper) {
+    throw new Error(`No ${type} mapper for Umami schema ${version}`);
+  }
+  return mapper(row);
+}
+
+module.exports = {
+  formatTimestamp,
+  detectSchemaVersion,
+  getSyncQuery,
+  loadWebsiteDomains,
+  mapRow,
+  mapPageview,
+  mapCustomEvent,
+  mapWebsiteEvent,
+  mapSession,
+  fetchEventProperties,
+  attachEventProperties,
+  withEventProperties,
+  PROPERTY_ATTRIBUTES
+};
@@ -0,0 +1,127 @@
+// NOTIFY triggers on Umami's tables for the real-time sync. Installed and removed
+// explicitly (`umamidb triggers install|uninstall|status`); the daemon
+// only checks that the expected version is in place.
+
+// Bump when the trigger SQL or payload changes; stored as a comment on the function
+const TRIGGER_VERSION = 2;
+const VERSION_PREFIX = 'umami-golem-sync trigger v';
+
+const TRIGGERS = [
+  {
+    table: 'website_event',
+    functionName: 'notify_website_event',
+    triggerName: 'website_event_notify_trigger',
+    channel: 'website_event_insert',
+    payload: "json_build_object('id', NEW.event_id, 'event_type', NEW.event_type)"
+  },
+  {
+    table: 'session',
+    functionName: 'notify_session',
+    triggerName: 'session_notify_trigger',
+    channel: 'session_insert',
+    payload: "json_build_object('id', NEW.session_id)"
+  }
+];
+
+function installStatements() {
+  return TRIGGERS.flatMap(({ table, functionName, triggerName, channel, payload }) => [
+    `CREATE OR REPLACE FUNCTION ${functionName}()
+RETURNS trigger AS $$
+BEGIN
+  PERFORM pg_notify('${channel}', ${payload}::text);
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;`,
+    `COMMENT ON FUNCTION ${functionName}() IS '${VERSION_PREFIX}${TRIGGER_VERSION}';`,
+    `DROP TRIGGER IF EXISTS ${triggerName} ON ${table};`,
+    `CREATE TRIGGER ${triggerName}
+  AFTER INSERT ON ${table}
+  FOR EACH ROW EXECUTE FUNCTION ${functionName}();`
+  ]);
+}
+
+function uninstallStatements() {
+  return TRIGGERS.flatMap(({ table, functionName, triggerName }) => [
+    `DROP TRIGGER IF EXISTS ${triggerName} ON ${table};`,
+    `DROP FUNCTION IF EXISTS ${functionName}();`
+  ]);
+}
+
+// One entry per trigger: what exists in the database and whether it is current
+async function getTriggerStatus(db) {
+  const functions = await db.query(`
+    SELECT p.proname AS name, obj_description(p.oid, 'pg_proc') AS comment
+    FROM pg_proc p
+    JOIN pg_namespace n ON n.oid = p.pronamespace
+    WHERE n.nspname = current_schema()
+      AND p.proname = ANY($1::text[])
+  `, [TRIGGERS.map(trigger => trigger.functionName)]);
+
+  const triggers = await db.query(`
+    SELECT t.tgname AS name, c.relname AS table_name, t.tgenabled AS enabled
+    FROM pg_trigger t
+    JOIN pg_class c ON c.oid = t.tgrelid
+    JOIN pg_namespace n ON n.oid = c.relnamespace
+    WHERE NOT t.tgisinternal
+      AND n.nspname = current_schema()
+      AND t.tgname = ANY($1::text[])
+  `, [TRIGGERS.map(trigger => trigger.triggerName)]);
+
+  return TRIGGERS.map(({ table, functionName, triggerName }) => {
+    const fn = functions.rows.find(row => row.name === functionName);
+    const trigger = triggers.rows.find(row => row.name === triggerName && row.table_name === table);
+    const match = fn && fn.comment && fn.comment.startsWith(VERSION_PREFIX)
+      ? Number(fn.comment.slice(VERSION_PREFIX.length))
+      : null;
+
+    const status = {
+      table,
+      functionName,
+      triggerName,
+      functionExists: Boolean(fn),
+      triggerExists: Boolean(trigger),
+      enabled: Boolean(trigger) && trigger.enabled !== 'D',
+      version: match
+    };
+    status.current = status.functionExists && status.triggerExists && status.enabled && status.version === TRIGGER_VERSION;
+    return status;
+  });
+}
+
+// Runs all statements in one transaction; with dryRun only returns them
+async function runStatements(db, statements, dryRun) {
+  if (dryRun) {
+    return statements;
+  }
+
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+    for (const statement of statements) {
+      await client.query(statement);
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  return statements;
+}
+
+async function installTriggers(db, { dryRun = false } = {}) {
+  return runStatements(db, installStatements(), dryRun);
+}
+
+async function uninstallTriggers(db, { dryRun = false } = {}) {
+  return runStatements(db, uninstallStatements(), dryRun);
+}
+
+module.exports = {
+  TRIGGER_VERSION,
+  getTriggerStatus,
+  installTriggers,
+  uninstallTriggers
+};
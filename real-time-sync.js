@@ -1,21 +1,32 @@
 #!/usr/bin/env node
 
-const { createWalletClient, http } = require('@arkiv-network/sdk');
-const { kaolin } = require('@arkiv-network/sdk/chains');
-const { privateKeyToAccount } = require('@arkiv-network/sdk/accounts');
-const { ExpirationTime, jsonToPayload } = require('@arkiv-network/sdk/utils');
-const { Pool } = require('pg');
+const { randomUUID } = require('crypto');
+const { Client, Pool } = require('pg');
 require('dotenv').config();
+const { getCheckpoint, setCheckpoint } = require('./lib/sync-state');
+const { QueueJournal, JOURNAL_FILE, DEAD_LETTER_FILE } = require('./lib/queue-journal');
+const { TRIGGER_VERSION, getTriggerStatus, installTriggers, uninstallTriggers } = require('./lib/umami-triggers');
+const { counter, gauge, histogram, timed } = require('./lib/metrics');
+const { startHealthServer } = require('./lib/health-server');
+const { DEFAULT_SINK, SyncRouter, sinkFile, describeRouting } = require('./lib/routing');
+const { createLogger } = require('./lib/logger');
+
+const log = createLogger('real-time-sync');
+const { describeRetentionPolicy } = require('./lib/retention');
+const { describePrivacyPolicy } = require('./lib/privacy');
+const { describeEncryption } = require('./lib/encryption');
+const { describePseudonyms } = require('./lib/pseudonym');
+const {
+  loadWebsiteDomains,
+  mapPageview,
+  mapCustomEvent,
+  mapSession,
+  fetchEventProperties,
+  withEventProperties
+} = require('./lib/umami-schema');
 
 // Konfiguracja
 const UMAMI_DB_URL = process.env.DATABASE_URL;
-const ARKIV_CONFIG = {
-  chainId: Number(process.env.ARKIV_CHAIN_ID || 60138453025),
-  rpcUrl: process.env.ARKIV_RPC_URL || 'https://kaolin.hoodi.arkiv.network/rpc',
-  wsUrl: process.env.ARKIV_WS_URL || 'wss://kaolin.hoodi.arkiv.network/rpc/ws',
-  privateKey: process.env.ARKIV_PRIVATE_KEY
-};
-const HAS_CHAIN_OVERRIDE = Boolean(process.env.ARKIV_CHAIN_ID || process.env.ARKIV_RPC_URL || process.env.ARKIV_WS_URL);
 
 // Batch & Queue Configuration
 const BATCH_SIZE = 10;
@@ -23,85 +34,83 @@ const BATCH_TIMEOUT = 5000; // 5 seconds
 const MAX_RETRIES = 3;
 const RETRY_DELAY = 1000; // 1 second
 
+// LISTEN connection: reconnect with backoff, then catch up on rows inserted while disconnected
+const RECONNECT_DELAY = 1000;
+const MAX_RECONNECT_DELAY = 30000;
+const CATCHUP_OVERLAP = 60000; // rows can commit slightly out of created_at order
+const CATCHUP_PAGE_SIZE = 500;
+const CURSOR_FLUSH_INTERVAL = 5000;
+
+// Notifications only carry ids; full rows are fetched in batches
+const FETCH_BATCH_SIZE = 100;
+const FETCH_DELAY = 100; // ms to collect notifications into one query
+
+// listen = triggers + LISTEN, poll = tail the tables, auto = poll unless the triggers are installed
+const REALTIME_MODE = (process.env.REALTIME_MODE || 'auto').toLowerCase();
+const POLL_INTERVAL = Number(process.env.REALTIME_POLL_INTERVAL || 5000);
+
+// Health & metrics endpoint (HEALTH_PORT=0 disables it)
+const HEALTH_PORT = Number(process.env.HEALTH_PORT || 9464);
+const QUEUE_STALL_TIMEOUT = Number(process.env.HEALTH_QUEUE_STALL_SECONDS || 120) * 1000;
+const RPC_CHECK_INTERVAL = 10000; // cache the Arkiv RPC probe between health checks
+const RPC_CHECK_TIMEOUT = 5000;
+
+const metrics = {
+  batches: counter('umami_sync_batches_total', 'Batches sent to Arkiv by sink and result'),
+  items: counter('umami_sync_items_total', 'Queued items by outcome (synced, skipped, excluded, dead_lettered)'),
+  retries: counter('umami_sync_retries_total', 'Batch retry attempts'),
+  reconnects: counter('umami_sync_listen_reconnects_total', 'LISTEN connection losses'),
+  lastSync: gauge('umami_sync_last_success_timestamp_seconds', 'Unix time of the last successful batch per sink'),
+  lag: gauge('umami_sync_lag_seconds', 'Age of the oldest item in the last successful batch when it reached Arkiv, per sink'),
+  rpcLatency: histogram('umami_sync_rpc_latency_seconds', 'Arkiv RPC call latency by method')
+};
+
 // PostgreSQL client
 const umami = new Pool({
   connectionString: UMAMI_DB_URL
 });
 
-let arkivClient;
-let arkivAccount;
-
-function buildChainConfig() {
-  if (!HAS_CHAIN_OVERRIDE && ARKIV_CONFIG.chainId === kaolin.id) {
-    return kaolin;
-  }
-
-  const defaultRpc = {
-    http: [ARKIV_CONFIG.rpcUrl]
-  };
-
-  if (ARKIV_CONFIG.wsUrl) {
-    defaultRpc.webSocket = [ARKIV_CONFIG.wsUrl];
-  }
-
-  return {
-    ...kaolin,
-    id: ARKIV_CONFIG.chainId,
-    rpcUrls: {
-      ...kaolin.rpcUrls,
-      default: defaultRpc
-    }
-  };
-}
+// Routing rules pick the Arkiv sinks of every item, see lib/routing.js
+const router = new SyncRouter({ logger: log, loadDomains: () => loadWebsiteDomains(umami) });
 
-function normalisePrivateKey(value) {
-  if (!value.startsWith('0x')) {
-    return `0x${value}`;
+// Queue system for batching; one queue (journal, retries, dead letters) per sink
+class SyncQueue {
+  constructor({ sink = DEFAULT_SINK, journal } = {}) {
+    this.sinkName = sink;
+    this.queue = [];
+    this.processing = false;
+    this.batchTimer = null;
+    this.journal = journal || new QueueJournal({
+      journalFile: sinkFile(JOURNAL_FILE, sink),
+      deadLetterFile: sinkFile(DEAD_LETTER_FILE, sink)
+    });
+    this.log = sink === DEFAULT_SINK ? log : log.child({ sink });
+    this.lastProgressAt = Date.now(); // for the stalled-queue health check
   }
-  return value;
-}
 
-function toAttributes(entries) {
-  const attributes = new Map();
+  // Re-queue items that were journaled but never acknowledged (crash, restart)
+  restore() {
+    const pending = this.journal.replay();
 
-  entries.forEach(([key, value]) => {
-    if (key === undefined || key === null || value === undefined || value === null) {
-      return;
+    if (pending.length > 0) {
+      this.log.info('♻️  Replaying unacknowledged items from journal', { entity_count: pending.length });
+      this.queue.push(...pending);
+      this.processBatch();
     }
 
-    if (typeof value === 'number') {
-      attributes.set(key, { key, value });
-    } else {
-      attributes.set(key, { key, value: String(value) });
+    const deadLetters = this.journal.countDeadLetters();
+    if (deadLetters > 0) {
+      this.log.warn('⚠️  Items in dead-letter store (run: umamidb redrive)', { entity_count: deadLetters });
     }
-  });
-
-  return Array.from(attributes.values());
-}
-
-function formatTimestamp(value) {
-  if (!value) {
-    return new Date().toISOString();
-  }
-
-  const date = value instanceof Date ? value : new Date(value);
-  if (Number.isNaN(date.getTime())) {
-    return new Date().toISOString();
-  }
-
-  return date.toISOString();
-}
-
-// Queue system for batching
-class SyncQueue {
-  constructor() {
-    this.queue = [];
-    this.processing = false;
-    this.batchTimer = null;
   }
 
   async add(data) {
-    this.queue.push(data);
+    const item = { ...data, queue_id: randomUUID() };
+    this.journal.append([item]);
+    if (this.queue.length === 0 && !this.processing) {
+      this.lastProgressAt = Date.now();
+    }
+    this.queue.push(item);
 
     // Start batch timer if not already running
     if (!this.batchTimer && !this.processing) {
@@ -131,15 +140,18 @@ class SyncQueue {
     this.clearBatchTimer();
 
     const batch = this.queue.splice(0, BATCH_SIZE);
-    console.log(`📦 Processing batch of ${batch.length} items`);
+    const batchLog = this.log.child({ batch_id: randomUUID().slice(0, 8) });
+    batchLog.info('📦 Processing batch', { entity_count: batch.length });
 
     try {
-      await this.syncBatchToArkiv(batch);
-      console.log(`✅ Batch of ${batch.length} items synced successfully`);
+      await this.syncBatchToArkiv(batch, batchLog);
+      this.acknowledge(batch);
+      batchLog.info('✅ Batch synced successfully', { entity_count: batch.length });
     } catch (error) {
-      console.error(`❌ Batch sync failed:`, error.message);
+      metrics.batches.inc(1, { sink: this.sinkName, result: 'failure' });
+      batchLog.warn('❌ Batch sync failed', { error });
       // Re-queue failed items for retry
-      await this.retryBatch(batch);
+      await this.retryBatch(batch, batchLog);
     }
 
     this.processing = false;
@@ -150,302 +162,703 @@ class SyncQueue {
     }
   }
 
-  async retryBatch(batch, retryCount = 0) {
+  // Confirmed by Arkiv: drop from the journal and record progress
+  acknowledge(batch) {
+    this.journal.ack(batch);
+    this.lastProgressAt = Date.now();
+    metrics.batches.inc(1, { sink: this.sinkName, result: 'success' });
+    metrics.lastSync.set(Math.floor(this.lastProgressAt / 1000), { sink: this.sinkName });
+
+    const oldest = Math.min(...batch.map(item => Date.parse(item.timestamp)).filter(Number.isFinite));
+    if (Number.isFinite(oldest)) {
+      metrics.lag.set((this.lastProgressAt - oldest) / 1000, { sink: this.sinkName });
+    }
+  }
+
+  async retryBatch(batch, batchLog, retryCount = 0, lastError = null) {
     if (retryCount >= MAX_RETRIES) {
-      console.error(`💀 Batch failed after ${MAX_RETRIES} retries, dropping ${batch.length} items`);
+      batchLog.error(`💀 Batch failed after ${MAX_RETRIES} retries, moving items to dead-letter store`, { entity_count: batch.length, error: lastError });
+      this.journal.deadLetter(batch, lastError);
+      this.lastProgressAt = Date.now();
+      metrics.items.inc(batch.length, { sink: this.sinkName, outcome: 'dead_lettered' });
       return;
     }
 
-    console.log(`🔄 Retrying batch (attempt ${retryCount + 1}/${MAX_RETRIES})`);
+    batchLog.info(`🔄 Retrying batch (attempt ${retryCount + 1}/${MAX_RETRIES})`);
+    metrics.retries.inc();
 
     // Exponential backoff
     await new Promise(resolve => setTimeout(resolve, RETRY_DELAY * Math.pow(2, retryCount)));
 
     try {
-      await this.syncBatchToArkiv(batch);
-      console.log(`✅ Batch retry ${retryCount + 1} succeeded`);
+      await this.syncBatchToArkiv(batch, batchLog);
+      this.acknowledge(batch);
+      batchLog.info(`✅ Batch retry ${retryCount + 1} succeeded`, { entity_count: batch.length });
     } catch (error) {
-      console.error(`❌ Batch retry ${retryCount + 1} failed:`, error.message);
-      await this.retryBatch(batch, retryCount + 1);
+      metrics.batches.inc(1, { sink: this.sinkName, result: 'failure' });
+      batchLog.warn(`❌ Batch retry ${retryCount + 1} failed`, { error });
+      await this.retryBatch(batch, batchLog, retryCount + 1, error);
+    }
+  }
+
+  // Umami writes event_data after the website_event row, so custom properties
+  // are collected when the batch is flushed rather than when the event arrives
+  async attachEventProperties(batch) {
+    const eventIds = batch
+      .filter(item => item.type === 'event' && !(item.data && item.data.properties))
+      .map(item => item.umami_id);
+
+    if (eventIds.length === 0) {
+      return batch;
     }
+
+    const properties = await fetchEventProperties(umami, eventIds);
+    return batch.map(item => (
+      item.type === 'event' && properties.has(String(item.umami_id))
+        ? withEventProperties(item, properties.get(String(item.umami_id)))
+        : item
+    ));
   }
 
-  async syncBatchToArkiv(batch) {
-    await initGolem();
+  async syncBatchToArkiv(batch, batchLog = this.log) {
+    const sink = await router.sink(this.sinkName).init();
     const syncTime = Math.floor(Date.now() / 1000);
+    const items = await this.attachEventProperties(batch);
 
-    const creates = batch.map(item => ({
-      payload: jsonToPayload(item.data),
-      contentType: 'application/json',
-      attributes: toAttributes([
-        ['type', item.type],
-        ['source', 'umami'],
-        ['website_id', item.website_id],
-        ['timestamp', formatTimestamp(item.timestamp)],
-        ['umami_id', item.umami_id],
-        ['sync_time', syncTime],
-        ['batch_size', batch.length],
-        ...(item.metadata ? Object.entries(item.metadata) : [])
-      ]),
-      expiresIn: calculateBTL(30)
-    }));
+    const records = items.map(item => sink.toRecord(item, syncTime, [['batch_size', batch.length]]));
 
-    const { createdEntities } = await arkivClient.mutateEntities({ creates });
+    const plan = await timed(metrics.rpcLatency, { method: 'query' }, () => sink.plan(records));
 
-    if (createdEntities.length !== creates.length) {
-      throw new Error(`Expected ${creates.length} receipts, got ${createdEntities.length}`);
+    if (plan.skipped.length > 0) {
+      batchLog.info('⏭️  Skipping items already on Arkiv', { entity_count: plan.skipped.length });
+      metrics.items.inc(plan.skipped.length, { sink: this.sinkName, outcome: 'skipped' });
     }
 
+    if (plan.creates.length === 0) {
+      return [];
+    }
+
+    const { createdEntities } = await timed(metrics.rpcLatency, { method: 'mutateEntities' }, () => sink.apply(plan));
+    metrics.items.inc(createdEntities.length, { sink: this.sinkName, outcome: 'synced' });
+
     return createdEntities;
   }
 }
 
-// Global queue instance
-const syncQueue = new SyncQueue();
+// Global queue instances, one per configured sink, so a slow or failing sink (e.g. a new
+// chain during a migration) retries and dead-letters without holding up the others
+const syncQueues = new Map(router.sinkNames().map(name => [name, new SyncQueue({ sink: name })]));
+
+const sumQueues = fn => Array.from(syncQueues.values()).reduce((total, queue) => total + fn(queue), 0);
+gauge('umami_sync_queue_depth', 'Items waiting in the in-memory queues', () => sumQueues(queue => queue.queue.length));
+gauge('umami_sync_journal_pending', 'Journaled items not yet acknowledged by Arkiv', () => sumQueues(queue => queue.journal.pending.size));
+gauge('umami_sync_listen_connected', '1 while the LISTEN connection is up (or polling is healthy)', () => (pgHealth().ok ? 1 : 0));
 
-// Inicjalizacja Arkiv DB
+// Inicjalizacja Arkiv DB - every sink the routing rules can write to
 async function initGolem() {
-  if (arkivClient) {
-    return arkivClient;
+  const sinks = router.activeSinkNames().map(name => router.sink(name));
+  for (const sink of sinks) {
+    await sink.init();
   }
+  return sinks;
+}
 
-  if (!ARKIV_CONFIG.privateKey) {
-    throw new Error('ARKIV_PRIVATE_KEY not set in .env');
+// Hands an item to the queue of every sink it is routed to; excluded items never reach a journal
+async function enqueue(item) {
+  const names = await router.route(item);
+  if (names.length === 0) {
+    metrics.items.inc(1, { outcome: 'excluded' });
+    return;
   }
+  await Promise.all(names.map(name => syncQueues.get(name).add(item)));
+}
 
-  const privateKey = normalisePrivateKey(ARKIV_CONFIG.privateKey.trim());
-  arkivAccount = privateKeyToAccount(privateKey);
+// Real-time sync functions (notifications carry Umami v2 rows)
+async function syncPageview(websiteEvent) {
+  await enqueue(mapPageview(websiteEvent));
+}
 
-  arkivClient = createWalletClient({
-    account: arkivAccount,
-    chain: buildChainConfig(),
-    transport: http(ARKIV_CONFIG.rpcUrl)
-  });
+async function syncCustomEvent(websiteEvent) {
+  await enqueue(mapCustomEvent(websiteEvent));
+}
 
-  console.log('✅ Connected to Arkiv DB');
-  console.log('📍 Address:', arkivAccount.address);
+async function syncSession(session) {
+  await enqueue(mapSession(session));
+}
 
-  return arkivClient;
+async function syncWebsiteEvent(websiteEvent) {
+  if (websiteEvent.event_type === 1) { // Pageview
+    await syncPageview(websiteEvent);
+  } else if (websiteEvent.event_type === 2) { // Custom event
+    await syncCustomEvent(websiteEvent);
+  }
 }
 
-// BTL calculation
-function calculateBTL(days = 1) {
-  return ExpirationTime.fromDays(days);
+const LISTEN_CHANNELS = {
+  website_event_insert: { table: 'website_event', idColumn: 'event_id', sync: syncWebsiteEvent },
+  session_insert: { table: 'session', idColumn: 'session_id', sync: syncSession }
+};
+
+let listenClient = null;
+let reconnectAttempts = 0;
+let cursorTimer = null;
+let pollTimer = null;
+let stopping = false;
+let listenReady = false; // LISTEN issued on a live connection
+let realtimeMode = null; // listen or poll, once started
+let lastPollAt = null;
+let lastRpcCheck = null;
+let healthServer = null;
+
+// Ids from notifications waiting to be fetched, per table
+const pendingFetches = {};
+let fetchTimer = null;
+let fetching = false;
+
+// Newest created_at queued per table, persisted so a reconnect (or restart) knows where to catch up from
+const listenCursors = {};
+let cursorsDirty = false;
+
+function markProcessed(table, row) {
+  const createdAt = new Date(row.created_at);
+  if (Number.isNaN(createdAt.getTime())) {
+    return;
+  }
+
+  const current = listenCursors[table];
+  if (!current || createdAt > new Date(current)) {
+    listenCursors[table] = createdAt.toISOString();
+    cursorsDirty = true;
+  }
 }
 
-// Real-time sync functions
-async function syncPageview(websiteEvent) {
-  const createdAtIso = formatTimestamp(websiteEvent.created_at);
-  const data = {
-    type: 'pageview',
-    website_id: websiteEvent.website_id,
-    umami_id: websiteEvent.event_id,
-    timestamp: createdAtIso,
-    data: {
-      event_id: websiteEvent.event_id,
-      website_id: websiteEvent.website_id,
-      session_id: websiteEvent.session_id,
-      url_path: websiteEvent.url_path,
-      url_query: websiteEvent.url_query,
-      referrer_path: websiteEvent.referrer_path,
-      referrer_domain: websiteEvent.referrer_domain,
-      page_title: websiteEvent.page_title,
-      hostname: websiteEvent.hostname,
-      created_at: createdAtIso
-    },
-    metadata: {
-      url_path: websiteEvent.url_path || '',
-      hostname: websiteEvent.hostname || '',
-      referrer_domain: websiteEvent.referrer_domain || ''
+function flushCursors() {
+  if (!cursorsDirty) {
+    return;
+  }
+  // Runs from a timer: a failed write is retried on the next flush instead of crashing the daemon
+  try {
+    Object.entries(listenCursors).forEach(([table, createdAt]) => {
+      setCheckpoint(`realtime:${table}`, { created_at: createdAt });
+    });
+    cursorsDirty = false;
+  } catch (error) {
+    log.warn('⚠️  Failed to save real-time cursors - retrying on the next flush', { error });
+  }
+}
+
+async function loadCursors() {
+  const { rows } = await umami.query('SELECT now() AS now');
+
+  Object.values(LISTEN_CHANNELS).forEach(({ table }) => {
+    const checkpoint = getCheckpoint(`realtime:${table}`);
+    // First start: nothing to catch up on before now
+    listenCursors[table] = checkpoint ? checkpoint.created_at : new Date(rows[0].now).toISOString();
+  });
+  cursorsDirty = true;
+  flushCursors();
+}
+
+function scheduleFetch(delay) {
+  if (!fetchTimer) {
+    fetchTimer = setTimeout(flushFetches, delay);
+  }
+}
+
+// Fetch the rows behind the collected notification ids and queue them
+async function flushFetches() {
+  clearTimeout(fetchTimer);
+  fetchTimer = null;
+
+  if (fetching) {
+    scheduleFetch(FETCH_DELAY);
+    return;
+  }
+  fetching = true;
+
+  for (const { table, idColumn, sync } of Object.values(LISTEN_CHANNELS)) {
+    const ids = Array.from(pendingFetches[table] || []);
+    if (ids.length === 0) {
+      continue;
     }
-  };
+    pendingFetches[table].clear();
 
-  await syncQueue.add(data);
+    try {
+      const result = await umami.query(
+        `SELECT * FROM ${table} WHERE ${idColumn} = ANY($1::uuid[]) ORDER BY created_at`,
+        [ids]
+      );
+
+      for (const row of result.rows) {
+        await sync(row);
+        markProcessed(table, row);
+      }
+
+      if (result.rows.length < ids.length) {
+        log.warn(`⚠️  Notified ${table} rows no longer exist`, { entity_count: ids.length - result.rows.length });
+      }
+    } catch (error) {
+      log.warn(`❌ Failed to fetch ${table} rows, retrying`, { entity_count: ids.length, error });
+      ids.forEach(id => pendingFetches[table].add(id));
+      scheduleFetch(RETRY_DELAY);
+    }
+  }
+
+  fetching = false;
 }
 
-async function syncCustomEvent(websiteEvent) {
-  const createdAtIso = formatTimestamp(websiteEvent.created_at);
-  const data = {
-    type: 'event',
-    website_id: websiteEvent.website_id,
-    umami_id: websiteEvent.event_id,
-    timestamp: createdAtIso,
-    data: {
-      event_id: websiteEvent.event_id,
-      website_id: websiteEvent.website_id,
-      session_id: websiteEvent.session_id,
-      event_name: websiteEvent.event_name,
-      url_path: websiteEvent.url_path,
-      hostname: websiteEvent.hostname,
-      created_at: createdAtIso
-    },
-    metadata: {
-      event_name: websiteEvent.event_name || '',
-      url_path: websiteEvent.url_path || '',
-      hostname: websiteEvent.hostname || ''
+// Notifications carry { id, event_type } only - pg_notify fails the INSERT above 8000 bytes
+function handleNotification(msg) {
+  const channel = LISTEN_CHANNELS[msg.channel];
+  if (!channel) {
+    return;
+  }
+
+  try {
+    const { id } = JSON.parse(msg.payload);
+    if (!pendingFetches[channel.table]) {
+      pendingFetches[channel.table] = new Set();
     }
+    pendingFetches[channel.table].add(id);
+
+    if (pendingFetches[channel.table].size >= FETCH_BATCH_SIZE) {
+      flushFetches();
+    } else {
+      scheduleFetch(FETCH_DELAY);
+    }
+  } catch (error) {
+    log.error('❌ Error processing notification', { channel: msg.channel, error });
+  }
+}
+
+// Queue rows after (cursorTime, cursorId) page by page; returns the new position
+async function tailTable({ table, idColumn, sync }, { cursorTime, cursorId }) {
+  let total = 0;
+
+  while (true) {
+    const result = await umami.query(`
+      SELECT t.*, t.created_at::text AS cursor_time
+      FROM ${table} t
+      WHERE t.created_at > $1::timestamptz
+        OR (t.created_at = $1::timestamptz AND t.${idColumn} > $2::uuid)
+      ORDER BY t.created_at, t.${idColumn}
+      LIMIT $3
+    `, [cursorTime, cursorId, CATCHUP_PAGE_SIZE]);
+
+    for (const { cursor_time, ...row } of result.rows) {
+      await sync(row);
+      markProcessed(table, row);
+    }
+    total += result.rows.length;
+
+    if (result.rows.length > 0) {
+      const lastRow = result.rows[result.rows.length - 1];
+      cursorTime = lastRow.cursor_time;
+      cursorId = lastRow[idColumn];
+    }
+
+    if (result.rows.length < CATCHUP_PAGE_SIZE) {
+      return { cursorTime, cursorId, total };
+    }
+  }
+}
+
+// Where to start reading a table again: the last processed row minus an overlap;
+// rows that were already synced are skipped by the dedup layer
+function resumePosition(table) {
+  return {
+    cursorTime: new Date(Date.parse(listenCursors[table]) - CATCHUP_OVERLAP).toISOString(),
+    cursorId: null
   };
+}
 
-  await syncQueue.add(data);
+// Queue everything inserted while the LISTEN connection was down
+async function catchUp() {
+  for (const channel of Object.values(LISTEN_CHANNELS)) {
+    const { total } = await tailTable(channel, resumePosition(channel.table));
+
+    if (total > 0) {
+      log.info(`⏪ Caught up ${channel.table} rows`, { entity_count: total });
+    }
+  }
 }
 
-async function syncSession(session) {
-  const createdAtIso = formatTimestamp(session.created_at);
-  const data = {
-    type: 'session',
-    website_id: session.website_id,
-    umami_id: session.session_id,
-    timestamp: createdAtIso,
-    data: {
-      session_id: session.session_id,
-      website_id: session.website_id,
-      browser: session.browser,
-      os: session.os,
-      device: session.device,
-      screen: session.screen,
-      language: session.language,
-      country: session.country,
-      region: session.region,
-      city: session.city,
-      created_at: createdAtIso
-    },
-    metadata: {
-      country: session.country || 'unknown',
-      device: session.device || 'unknown',
-      browser: session.browser || 'unknown',
-      os: session.os || 'unknown'
+// Fallback without triggers: tail the tables by (created_at, id)
+async function startPolling() {
+  const positions = {};
+  Object.values(LISTEN_CHANNELS).forEach(({ table }) => {
+    positions[table] = resumePosition(table);
+  });
+
+  const poll = async () => {
+    let failed = false;
+    for (const channel of Object.values(LISTEN_CHANNELS)) {
+      try {
+        positions[channel.table] = await tailTable(channel, positions[channel.table]);
+      } catch (error) {
+        failed = true;
+        log.error(`❌ Polling ${channel.table} failed`, { error });
+      }
+    }
+    if (!failed) {
+      lastPollAt = Date.now();
+    }
+
+    if (!stopping) {
+      pollTimer = setTimeout(poll, POLL_INTERVAL);
     }
   };
 
-  await syncQueue.add(data);
+  log.info(`🐢 Polling website_event/session every ${POLL_INTERVAL}ms (no triggers)`);
+  await poll();
 }
 
-// Database listeners for real-time sync
-async function setupDatabaseListeners() {
-  const client = await umami.connect();
+// Dedicated (non-pooled) connection: LISTEN is bound to one session
+async function startListening() {
+  const client = new Client({ connectionString: UMAMI_DB_URL, keepAlive: true });
+  listenClient = client;
 
-  // Listen for new website events (pageviews and custom events)
-  await client.query('LISTEN website_event_insert');
-  await client.query('LISTEN session_insert');
+  client.on('error', error => handleListenerFailure(client, error));
+  client.on('end', () => handleListenerFailure(client));
+  client.on('notification', handleNotification);
 
-  client.on('notification', async (msg) => {
-    try {
-      const payload = JSON.parse(msg.payload);
-
-      switch (msg.channel) {
-        case 'website_event_insert':
-          if (payload.event_type === 1) { // Pageview
-            await syncPageview(payload);
-          } else if (payload.event_type === 2) { // Custom event
-            await syncCustomEvent(payload);
-          }
-          break;
-
-        case 'session_insert':
-          await syncSession(payload);
-          break;
-      }
-    } catch (error) {
-      console.error(`❌ Error processing notification:`, error.message);
+  try {
+    await client.connect();
+    for (const channel of Object.keys(LISTEN_CHANNELS)) {
+      await client.query(`LISTEN ${channel}`);
     }
-  });
+  } catch (error) {
+    handleListenerFailure(client, error);
+    return;
+  }
+
+  listenReady = true;
+  if (reconnectAttempts > 0) {
+    log.info('🔌 LISTEN connection restored', { attempts: reconnectAttempts });
+  } else {
+    log.info('👂 Database listeners set up for real-time sync');
+  }
+  reconnectAttempts = 0;
+
+  // Listening again before catching up, so nothing falls between the two
+  try {
+    await catchUp();
+  } catch (error) {
+    handleListenerFailure(client, error);
+  }
+}
 
-  console.log('👂 Database listeners set up for real-time sync');
+function handleListenerFailure(client, error) {
+  if (stopping || client !== listenClient) {
+    return;
+  }
+  listenClient = null;
+  listenReady = false;
+  metrics.reconnects.inc();
+  client.end().catch(() => {});
+
+  const delay = Math.min(RECONNECT_DELAY * Math.pow(2, reconnectAttempts), MAX_RECONNECT_DELAY);
+  reconnectAttempts++;
+  log.warn(`❌ LISTEN connection lost - reconnecting in ${delay}ms`, { attempt: reconnectAttempts, error });
+
+  setTimeout(() => {
+    if (!stopping) {
+      startListening();
+    }
+  }, delay);
 }
 
-// Setup database triggers (run once)
-async function setupDatabaseTriggers() {
-  const client = await umami.connect();
+// Database listeners for real-time sync (or polling when triggers are unavailable)
+async function setupDatabaseListeners({ polling = false } = {}) {
+  await loadCursors();
+  cursorTimer = setInterval(flushCursors, CURSOR_FLUSH_INTERVAL);
+  realtimeMode = polling ? 'poll' : 'listen';
+
+  if (polling) {
+    await startPolling();
+  } else {
+    await startListening();
+  }
+}
+
+function pgHealth() {
+  if (realtimeMode === 'poll') {
+    const ok = lastPollAt !== null && Date.now() - lastPollAt < POLL_INTERVAL * 3 + 10000;
+    return { ok, mode: 'poll', last_poll: lastPollAt ? new Date(lastPollAt).toISOString() : null };
+  }
+  return { ok: realtimeMode === 'listen' && listenReady, mode: realtimeMode || 'starting', reconnect_attempts: reconnectAttempts };
+}
+
+async function sinkRpcHealth(name) {
+  let timer;
+  const startedAt = Date.now();
 
   try {
-    // Create trigger function for website_event
-    await client.query(`
-      CREATE OR REPLACE FUNCTION notify_website_event()
-      RETURNS trigger AS $$
-      BEGIN
-        PERFORM pg_notify('website_event_insert', row_to_json(NEW)::text);
-        RETURN NEW;
-      END;
-      $$ LANGUAGE plpgsql;
-    `);
-
-    // Create trigger for website_event
-    await client.query(`
-      DROP TRIGGER IF EXISTS website_event_notify_trigger ON website_event;
-      CREATE TRIGGER website_event_notify_trigger
-        AFTER INSERT ON website_event
-        FOR EACH ROW EXECUTE FUNCTION notify_website_event();
-    `);
-
-    // Create trigger function for session
-    await client.query(`
-      CREATE OR REPLACE FUNCTION notify_session()
-      RETURNS trigger AS $$
-      BEGIN
-        PERFORM pg_notify('session_insert', row_to_json(NEW)::text);
-        RETURN NEW;
-      END;
-      $$ LANGUAGE plpgsql;
-    `);
-
-    // Create trigger for session
-    await client.query(`
-      DROP TRIGGER IF EXISTS session_notify_trigger ON session;
-      CREATE TRIGGER session_notify_trigger
-        AFTER INSERT ON session
-        FOR EACH ROW EXECUTE FUNCTION notify_session();
-    `);
-
-    console.log('✅ Database triggers set up successfully');
+    const sink = await router.sink(name).init();
+    const block = await timed(metrics.rpcLatency, { method: 'getBlockNumber' }, () => Promise.race([
+      sink.reader.getBlockNumber(),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`timeout after ${RPC_CHECK_TIMEOUT}ms`)), RPC_CHECK_TIMEOUT);
+      })
+    ]));
+    return { ok: true, block: block.toString(), latency_ms: Date.now() - startedAt };
+  } catch (error) {
+    return { ok: false, error: error.message };
   } finally {
-    client.release();
+    clearTimeout(timer);
+  }
+}
+
+// Every sink the rules write to must answer
+async function arkivHealth() {
+  if (lastRpcCheck && Date.now() - lastRpcCheck.checkedAt < RPC_CHECK_INTERVAL) {
+    return lastRpcCheck.result;
+  }
+
+  const names = router.activeSinkNames();
+  const sinks = {};
+  (await Promise.all(names.map(sinkRpcHealth))).forEach((check, i) => {
+    sinks[names[i]] = check;
+  });
+  const result = { ok: Object.values(sinks).every(check => check.ok), sinks };
+
+  lastRpcCheck = { checkedAt: Date.now(), result };
+  return result;
+}
+
+function queueHealth() {
+  const sinks = {};
+  syncQueues.forEach((queue, name) => {
+    const depth = queue.queue.length;
+    sinks[name] = {
+      ok: !(depth > 0 && Date.now() - queue.lastProgressAt > QUEUE_STALL_TIMEOUT),
+      depth,
+      pending: queue.journal.pending.size,
+      last_progress: new Date(queue.lastProgressAt).toISOString()
+    };
+  });
+  return { ok: Object.values(sinks).every(check => check.ok), sinks };
+}
+
+async function checkHealth() {
+  const checks = {
+    postgres: pgHealth(),
+    arkiv: await arkivHealth(),
+    queue: queueHealth()
+  };
+  const ok = Object.values(checks).every(check => check.ok);
+  return { status: ok ? 'ok' : 'unhealthy', checks };
+}
+
+// Startup check only - the daemon never creates or drops triggers itself
+async function verifyTriggers() {
+  const status = await getTriggerStatus(umami);
+  const problems = status
+    .filter(trigger => !trigger.current)
+    .map(trigger => {
+      if (!trigger.functionExists || !trigger.triggerExists) {
+        return `${trigger.triggerName} on ${trigger.table} is not installed`;
+      }
+      if (!trigger.enabled) {
+        return `${trigger.triggerName} on ${trigger.table} is disabled`;
+      }
+      return `${trigger.triggerName} on ${trigger.table} is v${trigger.version || '?'} (expected v${TRIGGER_VERSION})`;
+    });
+
+  if (problems.length > 0) {
+    throw new Error(`${problems.join('; ')} - run: umamidb triggers install`);
+  }
+
+  log.info(`✅ Database triggers verified (v${TRIGGER_VERSION})`);
+}
+
+// Trigger management for `umamidb triggers`; `current` is false when status finds them missing or outdated
+async function manageTriggers(action, { dryRun = false, force = false } = {}) {
+  switch (action) {
+    case 'status': {
+      const status = await getTriggerStatus(umami);
+      return { version: TRIGGER_VERSION, current: status.every(trigger => trigger.current), triggers: status };
+    }
+
+    case 'install': {
+      if (!dryRun && !force) {
+        const status = await getTriggerStatus(umami);
+        if (status.every(trigger => trigger.current)) {
+          log.info(`✅ Triggers already installed (v${TRIGGER_VERSION}) - use --force to recreate`);
+          return { version: TRIGGER_VERSION, current: true, statements: [] };
+        }
+      }
+      const statements = await installTriggers(umami, { dryRun });
+      if (!dryRun) {
+        log.info(`✅ Database triggers installed (v${TRIGGER_VERSION})`);
+      }
+      return { version: TRIGGER_VERSION, current: !dryRun, statements };
+    }
+
+    case 'uninstall': {
+      const statements = await uninstallTriggers(umami, { dryRun });
+      if (!dryRun) {
+        log.info('🧹 Database triggers removed');
+      }
+      return { version: TRIGGER_VERSION, current: false, statements };
+    }
+
+    default:
+      throw new Error(`Unknown triggers action: ${action}`);
   }
 }
 
-// Graceful shutdown
-process.on('SIGINT', async () => {
-  console.log('\n🛑 Shutting down real-time sync...');
+// Graceful shutdown (anything not flushed stays in the journal for the next start)
+async function shutdown() {
+  log.info('🛑 Shutting down real-time sync...');
+  stopping = true;
+  clearInterval(cursorTimer);
+  clearTimeout(pollTimer);
+
+  if (healthServer) {
+    healthServer.close();
+  }
+
+  if (listenClient) {
+    await listenClient.end().catch(() => {});
+  }
+
+  // Fetch rows for notifications that are still waiting
+  await flushFetches();
 
-  // Process remaining items in queue
-  if (syncQueue.queue.length > 0) {
-    console.log(`📤 Processing remaining ${syncQueue.queue.length} items...`);
-    await syncQueue.processBatch();
+  // Process remaining items in the queues
+  for (const queue of syncQueues.values()) {
+    if (queue.queue.length > 0) {
+      queue.log.info('📤 Processing remaining items...', { entity_count: queue.queue.length });
+      await queue.processBatch();
+    }
   }
 
+  flushCursors();
   await umami.end();
   process.exit(0);
-});
+}
 
-// Main function
-async function main() {
-  try {
-    console.log('🚀 Starting Umami → Arkiv DB real-time sync...');
+// Re-drive items from the dead-letter store of one sink's queue
+async function redriveQueue(queue) {
+  const { journal } = queue;
+  const { items, release } = journal.takeDeadLetters();
+
+  if (items.length === 0) {
+    release();
+    return { synced: 0, failed: 0 };
+  }
 
-    await initGolem();
-    await setupDatabaseTriggers();
-    await setupDatabaseListeners();
+  queue.log.info('♻️  Re-driving dead-lettered items...', { entity_count: items.length });
 
-    console.log('🎉 Real-time sync is running!');
-    console.log(`📊 Batch size: ${BATCH_SIZE}, timeout: ${BATCH_TIMEOUT}ms`);
-    console.log(`🔄 Max retries: ${MAX_RETRIES}, retry delay: ${RETRY_DELAY}ms`);
+  let synced = 0;
+  let failed = 0;
 
-    // Keep process running
-    process.stdin.resume();
+  for (let i = 0; i < items.length; i += BATCH_SIZE) {
+    const batch = items.slice(i, i + BATCH_SIZE);
 
-  } catch (error) {
-    console.error('❌ Real-time sync failed:', error.message);
-    process.exit(1);
+    try {
+      await queue.syncBatchToArkiv(batch);
+      synced += batch.length;
+    } catch (error) {
+      queue.log.warn('❌ Re-drive of batch failed', { entity_count: batch.length, error });
+      journal.writeDeadLetters(batch, error);
+      failed += batch.length;
+    }
   }
+
+  release();
+  return { synced, failed };
 }
 
-if (require.main === module) {
-  main();
+// Re-drive the dead-letter stores of all sinks
+async function redriveDeadLetters() {
+  const totals = { synced: 0, failed: 0 };
+
+  for (const queue of syncQueues.values()) {
+    const { synced, failed } = await redriveQueue(queue);
+    totals.synced += synced;
+    totals.failed += failed;
+  }
+
+  if (totals.synced === 0 && totals.failed === 0) {
+    log.info('📭 Dead-letter store is empty');
+  } else {
+    log.info('✅ Re-drive finished', { synced: totals.synced, returned_to_dead_letter: totals.failed });
+  }
+  return totals;
+}
+
+// Main function
+// Start the daemon; it keeps running until SIGINT/SIGTERM
+async function startDaemon() {
+  log.info('🚀 Starting Umami → Arkiv DB real-time sync...');
+  // Only the daemon drains and exits on a signal; one-shot commands keep the CLI's exit codes
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+  describeRetentionPolicy().forEach(line => log.info(`🗄️  ${line.trim()}`));
+  describePrivacyPolicy().forEach(line => log.info(`🧹 ${line.trim()}`));
+  log.info(`🔐 ${describeEncryption()}`);
+  log.info(`🕶️  ${describePseudonyms()}`);
+  describeRouting().forEach(line => log.info(`🧭 ${line.trim()}`));
+
+  await initGolem();
+
+  if (HEALTH_PORT > 0) {
+    healthServer = startHealthServer({ port: HEALTH_PORT, checkHealth });
+  }
+
+  if (!['auto', 'listen', 'poll'].includes(REALTIME_MODE)) {
+    throw new Error(`Invalid REALTIME_MODE: ${REALTIME_MODE} (expected auto, listen or poll)`);
+  }
+
+  let polling = REALTIME_MODE === 'poll';
+  if (!polling) {
+    try {
+      await verifyTriggers();
+    } catch (error) {
+      if (REALTIME_MODE !== 'auto') {
+        throw error;
+      }
+      log.warn('⚠️  Triggers not usable - falling back to polling', { reason: error.message });
+      polling = true;
+    }
+  }
+
+  syncQueues.forEach(queue => queue.restore());
+  await setupDatabaseListeners({ polling });
+
+  log.info('🎉 Real-time sync is running!', {
+    sinks: router.activeSinkNames().join(','),
+    batch_size: BATCH_SIZE,
+    batch_timeout_ms: BATCH_TIMEOUT,
+    max_retries: MAX_RETRIES,
+    retry_delay_ms: RETRY_DELAY
+  });
+
+  // Keep process running
+  process.stdin.resume();
+}
+
+// Close the Umami Postgres pool after one-shot commands (redrive, triggers)
+async function close() {
+  await umami.end();
 }
 
 module.exports = {
-  syncQueue,
+  syncQueues,
+  enqueue,
   syncPageview,
   syncCustomEvent,
   syncSession,
-  initGolem
-};
\ No newline at end of file
+  startDaemon,
+  manageTriggers,
+  redriveDeadLetters,
+  initGolem,
+  close
+};
+
+// Kept for `node real-time-sync.js [redrive|triggers ...]`; the commands live in the umamidb CLI
+if (require.main === module) {
+  require('./bin/umamidb').main(process.argv.length > 2 ? process.argv.slice(2) : ['daemon']);
+}